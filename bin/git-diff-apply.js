@@ -1,9 +1,175 @@
 #!/usr/bin/env node
 'use strict';
 
+const os = require('os');
 const gitDiffApply = require('../src');
+const { strategies } = require('../src/auto-resolve-conflicts');
+const AbortController = require('../src/abort-controller');
+const {
+  InvalidOptionError,
+  AbortError,
+  InterruptedError
+} = require('../src/errors');
+
+// scripts can branch on these, so don't change them
+const exitCodes = {
+  E_INVALID_OPTION: 2,
+  E_NOT_GIT_REPO: 3,
+  E_DIRTY: 4,
+  E_TAGS_MATCH: 5,
+  E_TAG_NOT_FOUND: 6,
+  E_CLONE_FAILED: 7,
+  E_CLEANUP_FAILED: 8,
+  E_IN_PROGRESS: 9,
+  E_NO_JOURNAL: 10,
+  E_COMMAND_FAILED: 11,
+  E_NOT_RESUMABLE: 12
+};
+
+function getExitCode(err) {
+  // the shell convention for being killed by a signal
+  if (err.code === 'E_INTERRUPTED') {
+    return 128 + os.constants.signals[err.signal];
+  }
+
+  return exitCodes[err.code] || 1;
+}
+
+function getMessage(err) {
+  return err instanceof Error ? err.message.trim() : String(err);
+}
+
+function formatError(err) {
+  let lines = [`error: ${getMessage(err)}`];
+
+  for (let cause = err.cause; cause !== undefined; cause = cause.cause) {
+    lines.push(`  caused by: ${getMessage(cause)}`);
+  }
+
+  if (err.originalError !== undefined) {
+    lines.push(`  while recovering from: ${getMessage(err.originalError)}`);
+  }
+
+  return lines.join('\n');
+}
+
+function describeProgress({ event, ...details }) {
+  switch (event) {
+    case 'generating':
+      return `generating ${details.startTag} and ${details.endTag}`;
+    case 'cloning':
+      return `cloning ${details.remoteUrl}`;
+    case 'building-changeset':
+      return `comparing ${details.startTag} and ${details.endTag}`;
+    case 'building-snapshot':
+      return `building snapshots of ${details.startTag} and ${details.endTag}`;
+    case 'checking-out':
+      return `checking out ${details.tag}`;
+    case 'applying':
+      return `applying ${details.startTag}..${details.endTag}`;
+    case 'step':
+      return `step ${details.startTag}..${details.endTag}`;
+    case 'conflicts':
+      return `conflicts in ${details.conflicts.join(', ')}`;
+    default:
+      return event.replace(/-/g, ' ');
+  }
+}
+
+function createProgressRenderer(stream) {
+  let start = Date.now();
+
+  return function renderProgress(details) {
+    // elapsed time, so slow steps stand out in CI logs
+    let elapsed = ((Date.now() - start) / 1000).toFixed(1);
+
+    stream.write(`[${elapsed}s] ${describeProgress(details)}\n`);
+  };
+}
+
+const isJson = process.argv.includes('--json');
+
+function printJson(json) {
+  console.log(JSON.stringify(json, null, 2));
+}
+
+function buildResultJson(result) {
+  if (result.dryRun) {
+    return {
+      dryRun: true,
+      changes: {
+        added: result.dryRun.added,
+        modified: result.dryRun.clean,
+        deleted: result.dryRun.deleted
+      },
+      conflicts: result.dryRun.conflicted.map(path => ({ path }))
+    };
+  }
+
+  let json = {
+    changes: result.changes,
+    // blob contents can be binary, leave them to the Node API
+    conflicts: result.conflicts.map(({ path, type }) => ({ path, type })),
+    resolvedConflicts: result.resolvedConflicts
+  };
+
+  json.applied = Object.values(json.changes).some(files => files.length) || json.conflicts.length > 0;
+
+  return json;
+}
+
+function buildJson(argv, result, err) {
+  let json = {
+    startTag: argv.startTag,
+    endTag: argv.endTag,
+    applied: false,
+    changes: {
+      added: [],
+      modified: [],
+      deleted: []
+    },
+    conflicts: [],
+    resolvedConflicts: [],
+    error: null
+  };
+
+  if (result) {
+    json.startTag = result.startTag;
+    json.endTag = result.endTag;
+
+    Object.assign(json, buildResultJson(result));
+
+    if (result.subDirs) {
+      json.subDirs = result.subDirs.map(subDirResult => ({
+        subDir: subDirResult.subDir,
+        ...buildResultJson(subDirResult)
+      }));
+    }
+
+    for (let key of ['steps', 'branch', 'commit', 'stash']) {
+      if (result[key]) {
+        json[key] = result[key];
+      }
+    }
+  }
+
+  if (err) {
+    json.error = {
+      code: err.code || null,
+      message: getMessage(err)
+    };
+  }
+
+  return json;
+}
+
+// yargs is told not to exit, so the run is skipped instead
+let hasFailed = false;
 
 const { argv } = require('yargs')
+  .usage('$0 --remote-url <url> --start-tag <tag> --end-tag <tag> [options]')
+  .usage('$0 --patch-in <file> [options]')
+  .usage('$0 --continue | --abort')
   .options({
     'remote-url': {
       type: 'string'
@@ -12,14 +178,35 @@ const { argv } = require('yargs')
       type: 'string'
     },
     'end-tag': {
-      type: 'string'
+      type: 'string',
+      description: 'a tag, "latest", "latest-stable" or a semver range'
     },
     'resolve-conflicts': {
       type: 'boolean'
     },
+    'conflict-strategy': {
+      type: 'string',
+      choices: strategies
+    },
+    'conflict-rules': {
+      type: 'array',
+      description: 'glob:strategy pairs, like "config/**:ours"'
+    },
     'ignored-files': {
       type: 'array'
     },
+    'path-map': {
+      type: 'array',
+      description: 'upstream:local path pairs, like "app:src"'
+    },
+    'remote-sub-dir': {
+      type: 'string',
+      description: 'only take the diff from this directory of the remote, like "blueprints/app/files"'
+    },
+    'sub-dirs': {
+      type: 'array',
+      description: 'apply to each of these directories or globs, relative to the root, like "packages/*"'
+    },
     'reset': {
       type: 'boolean'
     },
@@ -27,19 +214,276 @@ const { argv } = require('yargs')
       type: 'boolean'
     },
     'start-command': {
-      type: 'string'
+      type: 'string',
+      description: 'can use {tag}, {projectName} and {cwd}, or $GIT_DIFF_APPLY_TAG'
     },
     'end-command': {
+      type: 'string',
+      description: 'can use {tag}, {projectName} and {cwd}, or $GIT_DIFF_APPLY_TAG'
+    },
+    'command-timeout': {
+      type: 'number',
+      description: 'milliseconds to wait for each custom diff command'
+    },
+    'max-buffer': {
+      type: 'number',
+      description: 'bytes of custom diff command output to keep'
+    },
+    'dry-run': {
+      type: 'boolean'
+    },
+    'cache': {
+      type: 'boolean',
+      default: true,
+      description: 'reuse a local mirror of the remote between runs, disable with --no-cache'
+    },
+    'cache-dir': {
       type: 'string'
+    },
+    'invalidate-cache': {
+      type: 'boolean',
+      description: 'run the custom diff commands again instead of reusing their output'
+    },
+    'generator-version': {
+      type: 'string',
+      description: 'reuse the custom diff output between runs of this version of the generator'
+    },
+    'stepwise': {
+      type: 'boolean',
+      description: 'apply and commit one tag at a time'
+    },
+    'branch': {
+      type: 'string',
+      description: 'check out a new branch first, like "upgrade/{startTag}-{endTag}"'
+    },
+    'commit': {
+      type: 'boolean',
+      description: 'commit the result if there are no conflicts'
+    },
+    'commit-message': {
+      type: 'string',
+      description: 'can use {startTag}, {endTag} and {remoteUrl}'
+    },
+    'auto-stash': {
+      type: 'boolean',
+      description: 'stash local changes first and restore them after'
+    },
+    'patch-out': {
+      type: 'string',
+      description: 'save the upstream patch to a file, or "-" for stdout'
+    },
+    'patch-in': {
+      type: 'string',
+      description: 'apply a patch saved by --patch-out instead of a remote'
+    },
+    'continue': {
+      type: 'boolean',
+      description: 'finish an interrupted run',
+      conflicts: 'abort'
+    },
+    'abort': {
+      type: 'boolean',
+      description: 'roll back an interrupted run'
+    },
+    'progress': {
+      type: 'boolean',
+      default: true,
+      description: 'show what is happening on stderr, disable with --no-progress'
+    },
+    'json': {
+      type: 'boolean',
+      description: 'print the result as JSON'
+    }
+  })
+  .check(argv => {
+    // everything else comes from the journal
+    if (argv.continue || argv.abort) {
+      return true;
+    }
+
+    if (argv.patchOut === '-' && argv.json) {
+      throw new Error('--patch-out - and --json both need stdout');
+    }
+
+    for (let pair of argv.pathMap || []) {
+      if (String(pair).split(':').length !== 2) {
+        throw new Error(`Invalid path-map "${pair}", expected "upstream:local"`);
+      }
+    }
+
+    // the patch has the tags and replaces the remote
+    if (argv.patchIn) {
+      return true;
+    }
+
+    let missing = ['start-tag', 'end-tag'].filter(key => argv[key] === undefined);
+
+    if (missing.length) {
+      throw new Error(`Missing required argument${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+    }
+
+    if (argv.createCustomDiff) {
+      if (!argv.startCommand || !argv.endCommand) {
+        throw new Error('Missing required arguments: start-command, end-command');
+      }
+    } else if (!argv.remoteUrl) {
+      throw new Error('Missing required argument: remote-url');
+    }
+
+    return true;
+  })
+  .fail((msg, err, yargs) => {
+    let message = msg || getMessage(err);
+
+    if (isJson) {
+      printJson(buildJson({}, null, new InvalidOptionError(message)));
+    } else {
+      yargs.showHelp();
+      console.error(`\nerror: ${message}`);
     }
-  });
+
+    hasFailed = true;
+    process.exitCode = exitCodes.E_INVALID_OPTION;
+  })
+  .help()
+  // leaves stdout to finish writing, like the JSON above
+  .exitProcess(false);
 
 argv.wasRunAsExecutable = true;
 
+if (!argv.json) {
+  // generators can take a while, so show what they're doing
+  argv.commandOutput = process.stderr;
+
+  if (argv.progress) {
+    argv.onProgress = createProgressRenderer(process.stderr);
+  }
+}
+
+if (argv.pathMap) {
+  argv.pathMap = argv.pathMap.reduce((pathMap, pair) => {
+    let [from, to] = pair.split(':');
+    pathMap[from] = to;
+    return pathMap;
+  }, {});
+}
+
+if (argv.conflictRules) {
+  argv.conflictRules = argv.conflictRules.reduce((rules, rule) => {
+    // globs can have colons, strategies can't
+    let i = rule.lastIndexOf(':');
+    rules[rule.substr(0, i).trim()] = rule.substr(i + 1).trim();
+    return rules;
+  }, {});
+}
+
+let abortController = new AbortController();
+let interruptedBy;
+
+argv.signal = abortController.signal;
+
+for (let signal of ['SIGINT', 'SIGTERM']) {
+  // replaces the default exit, and `tmp`'s
+  process.removeAllListeners(signal);
+
+  process.on(signal, function onSignal() {
+    if (interruptedBy) {
+      // asked twice, so stop waiting for cleanup,
+      // the journal can still be aborted later
+      process.removeListener(signal, onSignal);
+
+      // the default handler exits with the status shells expect
+      process.kill(process.pid, signal);
+      return;
+    }
+
+    interruptedBy = signal;
+
+    // also kills the running command's process group
+    abortController.abort();
+  });
+}
+
 (async() => {
+  // help, the version or an error were already printed
+  if (hasFailed || argv.help || argv.version) {
+    return;
+  }
+
+  let result;
+  let error;
+
   try {
-    await gitDiffApply(argv);
+    if (argv.continue) {
+      result = await gitDiffApply.continue({ signal: argv.signal });
+    } else if (argv.abort) {
+      await gitDiffApply.abort();
+    } else {
+      result = await gitDiffApply(argv);
+    }
   } catch (err) {
-    console.log(err);
+    error = err;
+
+    if (interruptedBy && err instanceof AbortError) {
+      error = new InterruptedError(interruptedBy, err);
+    }
+
+    process.exitCode = getExitCode(error);
+  }
+
+  if (argv.json) {
+    printJson(buildJson(argv, result, error));
+    return;
+  }
+
+  if (error) {
+    console.error(formatError(error));
+    return;
+  }
+
+  // `--abort` has nothing to show
+  if (!result) {
+    return;
+  }
+
+  if (argv.dryRun) {
+    let {
+      clean,
+      conflicted,
+      added,
+      deleted
+    } = result.dryRun;
+
+    // mimic `git status --short`
+    for (let [prefix, files] of [
+      ['A', added],
+      ['D', deleted],
+      ['M', clean],
+      ['U', conflicted]
+    ]) {
+      for (let file of files) {
+        console.log(`${prefix} ${file}`);
+      }
+    }
+  }
+
+  if (argv.stepwise && result.steps) {
+    for (let step of result.steps) {
+      console.log(`${step.startTag}..${step.endTag} ${step.status}`);
+    }
+  }
+
+  if (result.subDirs && !argv.dryRun) {
+    for (let { subDir, changes, conflicts } of result.subDirs) {
+      let status = 'unchanged';
+
+      if (conflicts.length) {
+        status = 'conflicts';
+      } else if (Object.values(changes).some(files => files.length)) {
+        status = 'changed';
+      }
+
+      console.log(`${subDir} ${status}`);
+    }
   }
 })();
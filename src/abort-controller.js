@@ -0,0 +1,37 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+// the global `AbortController` is newer than the Node versions we support,
+// and a `signal` only needs `aborted` and the listener methods
+class AbortSignal {
+  constructor() {
+    this.aborted = false;
+    this._emitter = new EventEmitter();
+  }
+
+  addEventListener(type, listener) {
+    this._emitter.on(type, listener);
+  }
+
+  removeEventListener(type, listener) {
+    this._emitter.removeListener(type, listener);
+  }
+}
+
+class AbortController {
+  constructor() {
+    this.signal = new AbortSignal();
+  }
+
+  abort() {
+    if (this.signal.aborted) {
+      return;
+    }
+
+    this.signal.aborted = true;
+    this.signal._emitter.emit('abort');
+  }
+}
+
+module.exports = AbortController;
@@ -0,0 +1,130 @@
+'use strict';
+
+const path = require('path');
+const { promisify } = require('util');
+const tmpDir = promisify(require('tmp').dir);
+const fs = require('fs-extra');
+const minimatch = require('minimatch');
+const run = require('./run');
+
+const strategies = [
+  'ours',
+  'theirs',
+  'union',
+  'upstream-wins-for-new-files'
+];
+
+function getStrategy(file, {
+  strategy,
+  rules
+}) {
+  for (let glob of Object.keys(rules)) {
+    if (minimatch(file, glob, { dot: true, matchBase: true })) {
+      return rules[glob];
+    }
+  }
+
+  return strategy;
+}
+
+// `git checkout --ours` and `--theirs`
+const stages = {
+  ours: 2,
+  theirs: 3
+};
+
+// the path goes to git on stdin instead of through the shell,
+// so any file name is safe
+async function runWithPath(command, file, options) {
+  let stdinFile = path.join(await tmpDir(), 'path');
+  await fs.writeFile(stdinFile, `${file}\0`);
+
+  await run(`${command} -z --stdin < "${stdinFile}"`, options);
+}
+
+async function checkOut(conflict, side, options) {
+  if (conflict[side] === null) {
+    // the chosen side deleted it
+    await fs.remove(path.join(options.cwd, conflict.path));
+    await runWithPath('git update-index --force-remove', conflict.path, options);
+    return;
+  }
+
+  await runWithPath(`git checkout-index -f --stage=${stages[side]}`, conflict.path, options);
+  await runWithPath('git update-index --add', conflict.path, options);
+}
+
+async function union(conflict, options) {
+  let dir = await tmpDir();
+
+  let oursFile = path.join(dir, 'ours');
+  let baseFile = path.join(dir, 'base');
+  let theirsFile = path.join(dir, 'theirs');
+
+  await fs.writeFile(oursFile, conflict.ours);
+  await fs.writeFile(baseFile, conflict.base || '');
+  await fs.writeFile(theirsFile, conflict.theirs);
+
+  // merged in the tmp dir so only paths we chose go through the shell
+  await run(`git merge-file --union "${oursFile}" "${baseFile}" "${theirsFile}"`, options);
+
+  await fs.writeFile(path.join(options.cwd, conflict.path), await fs.readFile(oursFile));
+  await runWithPath('git update-index --add', conflict.path, options);
+}
+
+async function resolve(conflict, strategy, options) {
+  switch (strategy) {
+    case 'ours':
+    case 'theirs':
+      await checkOut(conflict, strategy, options);
+      return true;
+    case 'union':
+      if (conflict.type !== 'content' && conflict.type !== 'add/add') {
+        return false;
+      }
+      await union(conflict, options);
+      return true;
+    case 'upstream-wins-for-new-files':
+      if (conflict.type !== 'add/add') {
+        return false;
+      }
+      await checkOut(conflict, 'theirs', options);
+      return true;
+  }
+
+  return false;
+}
+
+module.exports = async function autoResolveConflicts({
+  conflicts,
+  strategy,
+  rules = {},
+  cwd
+}) {
+  let resolved = [];
+  let unresolved = [];
+
+  for (let conflict of conflicts) {
+    let _strategy = getStrategy(conflict.path, {
+      strategy,
+      rules
+    });
+
+    if (_strategy && await resolve(conflict, _strategy, { cwd })) {
+      resolved.push({
+        path: conflict.path,
+        type: conflict.type,
+        strategy: _strategy
+      });
+    } else {
+      unresolved.push(conflict);
+    }
+  }
+
+  return {
+    resolved,
+    unresolved
+  };
+};
+
+module.exports.strategies = strategies;
@@ -0,0 +1,19 @@
+'use strict';
+
+const run = require('./run');
+
+module.exports = async function catFile(sha, {
+  gitDir,
+  ...options
+} = {}) {
+  if (!sha) {
+    return null;
+  }
+
+  let gitDirArg = gitDir ? `--git-dir="${gitDir}" ` : '';
+
+  return await run(`git ${gitDirArg}cat-file blob ${sha}`, {
+    ...options,
+    encoding: 'buffer'
+  });
+};
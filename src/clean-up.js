@@ -0,0 +1,20 @@
+'use strict';
+
+const utils = require('./utils');
+const mergeDir = require('./merge-dir');
+
+module.exports = async function cleanUp({
+  cwd,
+  tempBranchName,
+  gitIgnoredFiles,
+  isTempBranchCommitted,
+  shouldReturnGitIgnoredFiles
+}) {
+  if (isTempBranchCommitted) {
+    await utils.run(`git branch -D ${tempBranchName}`, { cwd });
+  }
+
+  if (shouldReturnGitIgnoredFiles) {
+    await mergeDir(gitIgnoredFiles, cwd);
+  }
+};
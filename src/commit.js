@@ -1,14 +1,35 @@
 'use strict';
 
+const path = require('path');
+const { promisify } = require('util');
+const tmpDir = promisify(require('tmp').dir);
+const fs = require('fs-extra');
 const run = require('./run');
 const { isGitClean } = require('./git-status');
 
-module.exports = async function commit(options) {
+module.exports = async function commit(options, {
+  message = 'message',
+  verify = false
+} = {}) {
   await run('git add -A', options);
 
   // it's possible for there to be no changes between tags
-  if (!await isGitClean(options)) {
-    // run with --no-verify to skip pre-commit application level hooks
-    await run('git commit -m "message" --no-verify', options);
+  if (await isGitClean(options)) {
+    return false;
   }
+
+  // avoid shell escaping the message
+  let messageFile = path.join(await tmpDir(), 'message');
+  await fs.writeFile(messageFile, message);
+
+  let args = `-F "${messageFile}"`;
+
+  if (!verify) {
+    // skip pre-commit application level hooks
+    args += ' --no-verify';
+  }
+
+  await run(`git commit ${args}`, options);
+
+  return true;
 };
@@ -1,10 +1,25 @@
 'use strict';
 
+const path = require('path');
+const fs = require('fs-extra');
 const fixturify = require('fixturify');
 
-module.exports = function convertToObj(dir, include) {
+module.exports = function convertToObj(dir, {
+  isIgnored,
+  mayContain
+}) {
   let obj = fixturify.readSync(dir, {
-    include
+    include: [{
+      match(relativePath) {
+        // fixturify doesn't tell us if it is a directory
+        if (fs.statSync(path.join(dir, relativePath)).isDirectory()) {
+          return mayContain(relativePath);
+        }
+
+        return isIgnored(relativePath);
+      }
+    }],
+    ignoreEmptyDirs: true
   });
   delete obj['.git'];
   return obj;
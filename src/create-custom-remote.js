@@ -4,6 +4,9 @@ const run = require('./run');
 const gitInit = require('./git-init');
 const commitAndTag = require('./commit-and-tag');
 const gitRemoveAll = require('./git-remove-all');
+const expandTemplate = require('./expand-template');
+const generateWithCache = require('./generate-with-cache');
+const { CommandFailedError } = require('./errors');
 const { promisify } = require('util');
 const tmpDir = promisify(require('tmp').dir);
 
@@ -11,7 +14,16 @@ module.exports = async function createCustomRemote({
   startCommand,
   endCommand,
   startTag,
-  endTag
+  endTag,
+  projectName,
+  cache,
+  cacheDir,
+  invalidateCache,
+  generatorVersion,
+  timeout,
+  maxBuffer,
+  output,
+  signal
 }) {
   let cwd = await tmpDir();
 
@@ -19,9 +31,62 @@ module.exports = async function createCustomRemote({
     cwd
   });
 
-  await run(startCommand, {
-    cwd
-  });
+  async function generate(command, tag) {
+    // the Node API can generate the files itself,
+    // but a function can't be reliably keyed, so it isn't cached
+    if (typeof command === 'function') {
+      await command(cwd, tag);
+      return;
+    }
+
+    // `{cwd}` is different every time,
+    // so leave it out of the cache key
+    let _command = expandTemplate(command, {
+      tag,
+      projectName
+    });
+
+    async function _generate() {
+      let command = expandTemplate(_command, {
+        cwd
+      });
+
+      try {
+        await run(command, {
+          cwd,
+          env: {
+            ...process.env,
+            GIT_DIFF_APPLY_TAG: tag
+          },
+          timeout,
+          maxBuffer,
+          output,
+          signal
+        });
+      } catch (err) {
+        throw new CommandFailedError(command, err);
+      }
+    }
+
+    // without it, a new release of the generator
+    // would keep getting the old output
+    if (!cache || !generatorVersion) {
+      await _generate();
+      return;
+    }
+
+    await generateWithCache({
+      cacheDir,
+      version: generatorVersion,
+      command: _command,
+      tag,
+      dir: cwd,
+      invalidate: invalidateCache,
+      generate: _generate
+    });
+  }
+
+  await generate(startCommand, startTag);
 
   await commitAndTag(startTag, {
     cwd
@@ -31,9 +96,7 @@ module.exports = async function createCustomRemote({
     cwd
   });
 
-  await run(endCommand, {
-    cwd
-  });
+  await generate(endCommand, endTag);
 
   await commitAndTag(endTag, {
     cwd
@@ -0,0 +1,71 @@
+'use strict';
+
+const path = require('path');
+const { promisify } = require('util');
+const tmpDir = promisify(require('tmp').dir);
+const fs = require('fs-extra');
+const run = require('./run');
+const gitInit = require('./git-init');
+const { InvalidOptionError } = require('./errors');
+
+// the reverse of `createPatch`
+module.exports = async function createPatchRemote(patchFile) {
+  // one char per byte, so splitting it and writing it back out
+  // leaves contents that aren't UTF-8 intact
+  let patch = await fs.readFile(patchFile, 'latin1');
+
+  // there were no changes when it was made
+  if (!patch) {
+    throw new InvalidOptionError(`${patchFile} is empty, nothing to apply`);
+  }
+
+  // each commit starts with a "From <sha> <date>" line,
+  // and the first is left out when all the files are new
+  let patches = patch.split(/^(?=From [0-9a-f]{40} )/m);
+
+  let filesPatch = patches.find(patch => /^Subject: .*Upstream files at /m.test(patch));
+  let changesPatch = patches.find(patch => /^Subject: .*Upstream changes from /m.test(patch));
+
+  function getTrailer(name) {
+    let match = patch.match(new RegExp(`^${name}: (.+)$`, 'm'));
+
+    return match && Buffer.from(match[1], 'latin1').toString();
+  }
+
+  let startTag = getTrailer('Start-Tag');
+  let endTag = getTrailer('End-Tag');
+
+  if (!startTag || !endTag) {
+    throw new InvalidOptionError(`${patchFile} is not a patch made by git-diff-apply`);
+  }
+
+  let cwd = await tmpDir();
+
+  await gitInit({
+    cwd
+  });
+
+  let _tmpDir = await tmpDir();
+
+  async function applyAndTag(patch, tag) {
+    // there may not be any files yet
+    if (patch && patch.includes('\ndiff --git ')) {
+      let file = path.join(_tmpDir, 'file.patch');
+      await fs.writeFile(file, patch, 'latin1');
+      await run(`git apply "${file}"`, { cwd });
+    }
+
+    await run('git add -A', { cwd });
+    await run(`git commit --allow-empty --no-verify -m "${tag}"`, { cwd });
+    await run(`git tag ${tag}`, { cwd });
+  }
+
+  await applyAndTag(filesPatch, startTag);
+  await applyAndTag(changesPatch, endTag);
+
+  return {
+    remoteUrl: cwd,
+    startTag,
+    endTag
+  };
+};
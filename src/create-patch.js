@@ -0,0 +1,81 @@
+'use strict';
+
+const path = require('path');
+const { promisify } = require('util');
+const tmpDir = promisify(require('tmp').dir);
+const fs = require('fs-extra');
+const run = require('./run');
+const lsTree = require('./ls-tree');
+const splitNul = require('./split-nul');
+
+// Writes two patches in `git format-patch` form, the first creates
+// the start version of every changed file and the second changes them
+// to the end version. That way the start is a full three-way merge base
+// and the remote isn't needed to apply it.
+module.exports = async function createPatch({
+  gitDir,
+  startTag,
+  endTag,
+  isIgnored,
+  patchFile
+}) {
+  let git = `git --git-dir="${gitDir}"`;
+
+  let files = splitNul(await run(`${git} diff --name-only --no-renames -z ${startTag} ${endTag}`))
+    .filter(file => !isIgnored(file));
+
+  if (!files.length) {
+    await fs.writeFile(patchFile, '');
+    return;
+  }
+
+  let _tmpDir = await tmpDir();
+
+  // don't touch the real index
+  let options = {
+    env: {
+      ...process.env,
+      GIT_INDEX_FILE: path.join(_tmpDir, 'index'),
+      GIT_AUTHOR_NAME: 'git-diff-apply',
+      GIT_AUTHOR_EMAIL: 'git-diff-apply@users.noreply.github.com',
+      GIT_COMMITTER_NAME: 'git-diff-apply',
+      GIT_COMMITTER_EMAIL: 'git-diff-apply@users.noreply.github.com'
+    }
+  };
+
+  async function commitFiles(tag, message, parent) {
+    let tree = await lsTree(gitDir, tag);
+
+    let indexInfo = files.map(file => {
+      if (!tree[file]) {
+        return `0 ${'0'.repeat(40)}\t${file}`;
+      }
+
+      let { mode, sha } = tree[file];
+
+      return `${mode} ${sha}\t${file}`;
+    });
+
+    let indexInfoFile = path.join(_tmpDir, 'index-info');
+    await fs.writeFile(indexInfoFile, indexInfo.join('\0'));
+
+    await run(`${git} update-index -z --index-info < "${indexInfoFile}"`, options);
+
+    let treeSha = (await run(`${git} write-tree`, options)).trim();
+
+    // avoid shell escaping the message
+    let messageFile = path.join(_tmpDir, 'message');
+    await fs.writeFile(messageFile, message);
+
+    let parentArg = parent ? `-p ${parent} ` : '';
+
+    return (await run(`${git} commit-tree ${parentArg}-F "${messageFile}" ${treeSha}`, options)).trim();
+  }
+
+  let trailers = `Start-Tag: ${startTag}\nEnd-Tag: ${endTag}`;
+
+  let start = await commitFiles(startTag, `Upstream files at ${startTag}\n\n${trailers}`);
+  let end = await commitFiles(endTag, `Upstream changes from ${startTag} to ${endTag}\n\n${trailers}`, start);
+
+  await run(`${git} format-patch --stdout --binary --root ${end} > "${patchFile}"`, options);
+};
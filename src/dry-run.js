@@ -0,0 +1,139 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs-extra');
+const { promisify } = require('util');
+const tmpDir = promisify(require('tmp').dir);
+const run = require('./run');
+const lsTree = require('./ls-tree');
+const catFile = require('./cat-file');
+
+async function mergeFile({
+  tmpGitDir,
+  base,
+  ours,
+  theirs,
+  cwd
+}) {
+  let dir = await tmpDir();
+
+  let oursFile = path.join(dir, 'ours');
+  let baseFile = path.join(dir, 'base');
+  let theirsFile = path.join(dir, 'theirs');
+
+  // the whole file is needed, so size isn't a concern
+  await fs.writeFile(oursFile, await catFile(ours.sha, { cwd, maxBuffer: Infinity }));
+  await fs.writeFile(baseFile, await catFile(base.sha, { gitDir: tmpGitDir, maxBuffer: Infinity }));
+  await fs.writeFile(theirsFile, await catFile(theirs.sha, { gitDir: tmpGitDir, maxBuffer: Infinity }));
+
+  try {
+    // exits non-zero on conflicts and on binary files,
+    // the result is written to the temporary `ours` file, not stdout
+    await run(`git merge-file --quiet "${oursFile}" "${baseFile}" "${theirsFile}"`);
+  } catch (err) {
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = async function dryRun({
+  tmpGitDir,
+  startTag,
+  endTag,
+  isIgnored,
+  reset,
+  cwd
+}) {
+  let result = {
+    clean: [],
+    conflicted: [],
+    added: [],
+    deleted: []
+  };
+
+  // relative to the current directory, like the rest of the working tree operations
+  let local = await lsTree(null, 'HEAD', { cwd });
+  let end = await lsTree(tmpGitDir, endTag);
+
+  if (reset) {
+    // everything is replaced by the end tag, so there can be no conflicts
+    for (let file of new Set([...Object.keys(local), ...Object.keys(end)])) {
+      if (isIgnored(file)) {
+        continue;
+      }
+
+      let ours = local[file];
+      let theirs = end[file];
+
+      if (!ours) {
+        result.added.push(file);
+      } else if (!theirs) {
+        result.deleted.push(file);
+      } else if (ours.sha !== theirs.sha) {
+        result.clean.push(file);
+      }
+    }
+  } else {
+    let start = await lsTree(tmpGitDir, startTag);
+
+    for (let file of new Set([...Object.keys(start), ...Object.keys(end)])) {
+      if (isIgnored(file)) {
+        continue;
+      }
+
+      let base = start[file];
+      let ours = local[file];
+      let theirs = end[file];
+
+      if (base && theirs && base.sha === theirs.sha) {
+        // unchanged upstream
+        continue;
+      }
+
+      if (ours && theirs && ours.sha === theirs.sha) {
+        // already up-to-date locally
+        continue;
+      }
+
+      if (!theirs) {
+        if (!ours) {
+          continue;
+        }
+
+        if (ours.sha === base.sha) {
+          result.deleted.push(file);
+        } else {
+          // modify/delete
+          result.conflicted.push(file);
+        }
+      } else if (!base) {
+        if (!ours) {
+          result.added.push(file);
+        } else {
+          // add/add
+          result.conflicted.push(file);
+        }
+      } else if (!ours) {
+        // delete/modify
+        result.conflicted.push(file);
+      } else if (ours.sha === base.sha || await mergeFile({
+        tmpGitDir,
+        base,
+        ours,
+        theirs,
+        cwd
+      })) {
+        result.clean.push(file);
+      } else {
+        result.conflicted.push(file);
+      }
+    }
+  }
+
+  for (let key of Object.keys(result)) {
+    result[key].sort();
+  }
+
+  return result;
+};
@@ -0,0 +1,160 @@
+'use strict';
+
+class GitDiffApplyError extends Error {
+  constructor(message, {
+    code,
+    cause
+  } = {}) {
+    super(message);
+
+    this.name = this.constructor.name;
+    this.code = code;
+
+    if (cause !== undefined) {
+      this.cause = cause;
+    }
+  }
+}
+
+class InvalidOptionError extends GitDiffApplyError {
+  constructor(message) {
+    super(message, {
+      code: 'E_INVALID_OPTION'
+    });
+  }
+}
+
+class TagsMatchError extends GitDiffApplyError {
+  constructor() {
+    super('Tags match, nothing to apply', {
+      code: 'E_TAGS_MATCH'
+    });
+  }
+}
+
+class NotGitRepoError extends GitDiffApplyError {
+  constructor(cause) {
+    super('Not a git repository', {
+      code: 'E_NOT_GIT_REPO',
+      cause
+    });
+  }
+}
+
+class DirtyError extends GitDiffApplyError {
+  constructor() {
+    super('You must start with a clean working directory', {
+      code: 'E_DIRTY'
+    });
+  }
+}
+
+class CloneFailedError extends GitDiffApplyError {
+  constructor(remoteUrl, cause) {
+    super(`Could not clone ${remoteUrl}`, {
+      code: 'E_CLONE_FAILED',
+      cause
+    });
+  }
+}
+
+class TagNotFoundError extends GitDiffApplyError {
+  constructor(tag) {
+    super(`No tag matching "${tag}" found`, {
+      code: 'E_TAG_NOT_FOUND'
+    });
+  }
+}
+
+class CleanupFailedError extends GitDiffApplyError {
+  // `cause` is what broke during cleanup,
+  // `originalError` is what triggered the cleanup, if anything
+  constructor(cause, originalError) {
+    super('Failed to restore your repository, it may need manual recovery', {
+      code: 'E_CLEANUP_FAILED',
+      cause
+    });
+
+    if (originalError !== undefined) {
+      this.originalError = originalError;
+    }
+  }
+}
+
+class InProgressError extends GitDiffApplyError {
+  constructor() {
+    super('A previous run was interrupted, continue or abort it first', {
+      code: 'E_IN_PROGRESS'
+    });
+  }
+}
+
+class NoJournalError extends GitDiffApplyError {
+  constructor() {
+    super('There is no interrupted run to continue or abort', {
+      code: 'E_NO_JOURNAL'
+    });
+  }
+}
+
+class NotResumableError extends GitDiffApplyError {
+  constructor() {
+    super('The interrupted run used functions as custom diff commands, so it can only be aborted', {
+      code: 'E_NOT_RESUMABLE'
+    });
+  }
+}
+
+class InterruptedError extends GitDiffApplyError {
+  constructor(signal, cause) {
+    super(`Interrupted by ${signal}, your repository was restored`, {
+      code: 'E_INTERRUPTED',
+      cause
+    });
+
+    this.signal = signal;
+  }
+}
+
+class AbortError extends GitDiffApplyError {
+  constructor(cause) {
+    super('Aborted, your repository was restored', {
+      code: 'E_ABORTED',
+      cause
+    });
+  }
+}
+
+class CommandFailedError extends GitDiffApplyError {
+  constructor(command, cause) {
+    let reason = cause.timedOut ? 'timed out' : 'failed';
+
+    super(`Custom diff command ${reason}: ${command}`, {
+      code: 'E_COMMAND_FAILED',
+      cause
+    });
+
+    this.command = command;
+    this.exitCode = cause.code;
+    this.timedOut = !!cause.timedOut;
+    this.stdout = cause.stdout;
+    this.stderr = cause.stderr;
+  }
+}
+
+module.exports = {
+  GitDiffApplyError,
+  InvalidOptionError,
+  TagsMatchError,
+  NotGitRepoError,
+  DirtyError,
+  CloneFailedError,
+  TagNotFoundError,
+  CleanupFailedError,
+  InProgressError,
+  NoJournalError,
+  NotResumableError,
+  InterruptedError,
+  AbortError,
+  CommandFailedError
+};
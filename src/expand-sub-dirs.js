@@ -0,0 +1,58 @@
+'use strict';
+
+const minimatch = require('minimatch');
+const run = require('./run');
+const normalizePath = require('./normalize-path');
+const { InvalidOptionError } = require('./errors');
+
+async function getTrackedDirs(options) {
+  // monorepos can list more than any fixed limit
+  options = { ...options, maxBuffer: Infinity };
+
+  let files = (await run('git ls-files -z', options)).split('\0').filter(Boolean);
+
+  let dirs = new Set();
+
+  for (let file of files) {
+    let parts = file.split('/');
+
+    for (let i = 1; i < parts.length; i++) {
+      dirs.add(parts.slice(0, i).join('/'));
+    }
+  }
+
+  return [...dirs];
+}
+
+// `options.cwd` is the root of the repo,
+// only tracked directories can match, so node_modules and build output are skipped
+module.exports = async function expandSubDirs(patterns, options) {
+  let dirs = await getTrackedDirs(options);
+
+  let subDirs = new Set();
+
+  for (let pattern of patterns) {
+    let matches = minimatch.match(dirs, normalizePath(pattern).replace(/^\.\//, ''), { dot: true });
+
+    if (!matches.length) {
+      throw new InvalidOptionError(`No directories match "${pattern}"`);
+    }
+
+    for (let match of matches) {
+      subDirs.add(match);
+    }
+  }
+
+  subDirs = [...subDirs].sort();
+
+  for (let subDir of subDirs) {
+    let parent = subDirs.find(other => subDir.startsWith(`${other}/`));
+
+    if (parent) {
+      // both would get their own copy of the upstream files
+      throw new InvalidOptionError(`subDirs "${parent}" and "${subDir}" overlap`);
+    }
+  }
+
+  return subDirs;
+};
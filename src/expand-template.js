@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = function expandTemplate(template, values) {
+  // unknown placeholders are left alone,
+  // and so are ones without a value, like `remoteUrl` for a custom diff
+  return template.replace(/\{(\w+)\}/g, (match, key) => {
+    return values[key] !== undefined ? values[key] : match;
+  });
+};
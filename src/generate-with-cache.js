@@ -0,0 +1,63 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const debug = require('debug')('git-diff-apply');
+const lock = require('./lock');
+
+// generators can be slow, like `ember new`,
+// so their output is reused between runs
+module.exports = async function generateWithCache({
+  cacheDir,
+  version,
+  command,
+  tag,
+  dir,
+  invalidate,
+  generate
+}) {
+  let snapshotsDir = path.join(cacheDir, 'snapshots');
+
+  await fs.ensureDir(snapshotsDir);
+
+  let key = crypto.createHash('sha1').update(JSON.stringify([
+    version,
+    command,
+    tag
+  ])).digest('hex');
+
+  let snapshotDir = path.join(snapshotsDir, key);
+
+  // so a teammate waits for it instead of generating it again
+  let unlock = await lock(`${snapshotDir}.lock`);
+
+  let gitDir = path.join(dir, '.git');
+
+  try {
+    if (!invalidate && await fs.pathExists(snapshotDir)) {
+      debug(`reusing ${snapshotDir}`);
+      await fs.copy(snapshotDir, dir);
+      return;
+    }
+
+    await generate();
+
+    // `pathExists` is the only check on reuse,
+    // so the snapshot has to appear all at once
+    let partialDir = `${snapshotDir}.partial`;
+
+    await fs.remove(partialDir);
+
+    await fs.copy(dir, partialDir, {
+      filter(src) {
+        return src !== gitDir;
+      }
+    });
+
+    await fs.remove(snapshotDir);
+    await fs.move(partialDir, snapshotDir);
+  } finally {
+    await unlock();
+  }
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+
+function getCacheHome() {
+  if (process.env.XDG_CACHE_HOME) {
+    return process.env.XDG_CACHE_HOME;
+  }
+
+  switch (process.platform) {
+    case 'darwin':
+      return path.join(os.homedir(), 'Library', 'Caches');
+    case 'win32':
+      return process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local');
+    default:
+      return path.join(os.homedir(), '.cache');
+  }
+}
+
+module.exports = function getCacheDir() {
+  return path.join(getCacheHome(), 'git-diff-apply');
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+const run = require('./run');
+const splitNul = require('./split-nul');
+
+module.exports = async function getChangedFiles(commit, options) {
+  let changes = {
+    added: [],
+    modified: [],
+    deleted: []
+  };
+
+  // staged and unstaged, relative to the current directory
+  let diff = splitNul(await run(`git diff ${commit} --name-status --no-renames --relative -z`, options));
+
+  for (let i = 0; i < diff.length; i += 2) {
+    let status = diff[i];
+    let file = diff[i + 1];
+
+    switch (status) {
+      case 'A':
+        changes.added.push(file);
+        break;
+      case 'D':
+        changes.deleted.push(file);
+        break;
+      case 'M':
+      case 'T':
+        changes.modified.push(file);
+        break;
+    }
+  }
+
+  let untracked = splitNul(await run('git ls-files --others --exclude-standard -z', options));
+
+  changes.added.push(...untracked);
+
+  for (let key of Object.keys(changes)) {
+    changes[key].sort();
+  }
+
+  return changes;
+};
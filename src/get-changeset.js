@@ -0,0 +1,137 @@
+'use strict';
+
+const run = require('./run');
+const splitNul = require('./split-nul');
+const catFile = require('./cat-file');
+
+function isMissing(sha) {
+  return /^0+$/.test(sha);
+}
+
+function createReader(gitDir, sha) {
+  return async function read() {
+    if (isMissing(sha)) {
+      return null;
+    }
+
+    return await catFile(sha, {
+      gitDir,
+      // only read when asked for, so size isn't a concern
+      maxBuffer: Infinity
+    });
+  };
+}
+
+// `git diff --raw -z`, one entry per file
+// :<old mode> SP <new mode> SP <old sha> SP <new sha> SP <status> NUL <path> NUL [<new path> NUL]
+function parseRaw(stdout) {
+  let parts = splitNul(stdout);
+
+  let entries = [];
+
+  for (let i = 0; i < parts.length;) {
+    let [, , fromSha, toSha, status] = parts[i++].split(' ');
+
+    let entry = {
+      status: status[0],
+      fromSha,
+      toSha,
+      path: parts[i++]
+    };
+
+    if (entry.status === 'R') {
+      entry.oldPath = entry.path;
+      entry.path = parts[i++];
+    }
+
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+// `git diff --numstat -z`, in the same order as `--raw`
+// <additions> TAB <deletions> TAB <path> NUL
+// or for renames, <additions> TAB <deletions> TAB NUL <old path> NUL <new path> NUL
+function parseNumstat(stdout) {
+  let parts = splitNul(stdout);
+
+  let stats = [];
+
+  for (let i = 0; i < parts.length;) {
+    let [additions, deletions, path] = parts[i++].split('\t');
+
+    if (!path) {
+      i += 2;
+    }
+
+    // binary files have no line counts
+    let isBinary = additions === '-';
+
+    stats.push({
+      additions: isBinary ? null : parseInt(additions),
+      deletions: isBinary ? null : parseInt(deletions),
+      binary: isBinary
+    });
+  }
+
+  return stats;
+}
+
+module.exports = async function getChangeset({
+  gitDir,
+  startTag,
+  endTag,
+  isIgnored
+}) {
+  let git = `git --git-dir="${gitDir}"`;
+
+  let entries = parseRaw(await run(`${git} diff --raw --no-abbrev -M -z ${startTag} ${endTag}`));
+  let stats = parseNumstat(await run(`${git} diff --numstat -M -z ${startTag} ${endTag}`));
+
+  let changeset = {
+    added: [],
+    modified: [],
+    deleted: [],
+    renamed: []
+  };
+
+  for (let i = 0; i < entries.length; i++) {
+    let {
+      status,
+      fromSha,
+      toSha,
+      path,
+      oldPath
+    } = entries[i];
+
+    let file = {
+      path,
+      ...stats[i],
+      ignored: isIgnored(path),
+      // contents are only loaded on demand
+      from: createReader(gitDir, fromSha),
+      to: createReader(gitDir, toSha)
+    };
+
+    switch (status) {
+      case 'A':
+        changeset.added.push(file);
+        break;
+      case 'D':
+        changeset.deleted.push(file);
+        break;
+      case 'R':
+        changeset.renamed.push({
+          oldPath,
+          ...file
+        });
+        break;
+      default:
+        changeset.modified.push(file);
+        break;
+    }
+  }
+
+  return changeset;
+};
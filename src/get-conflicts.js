@@ -0,0 +1,85 @@
+'use strict';
+
+const run = require('./run');
+const catFile = require('./cat-file');
+
+// same heuristic git uses
+function isBinary(buffer) {
+  return buffer.slice(0, 8000).includes(0);
+}
+
+async function lsUnmerged(options) {
+  let stdout = await run('git ls-files -u -z', options);
+
+  let files = {};
+
+  for (let line of stdout.split('\0').filter(Boolean)) {
+    // <mode> SP <object> SP <stage> TAB <file>
+    let i = line.indexOf('\t');
+    let [, sha, stage] = line.substr(0, i).split(' ');
+    let file = line.substr(i + 1);
+
+    if (!files[file]) {
+      files[file] = {};
+    }
+
+    files[file][stage] = sha;
+  }
+
+  return files;
+}
+
+function getType({
+  base,
+  ours,
+  theirs
+}) {
+  if (!base) {
+    return 'add/add';
+  }
+
+  if (!ours || !theirs) {
+    return 'modify/delete';
+  }
+
+  return 'content';
+}
+
+module.exports = async function getConflicts(options) {
+  let files = await lsUnmerged(options);
+
+  let conflicts = [];
+
+  for (let file of Object.keys(files).sort()) {
+    let stages = files[file];
+
+    let blobs = {
+      base: await catFile(stages[1], options),
+      ours: await catFile(stages[2], options),
+      theirs: await catFile(stages[3], options)
+    };
+
+    let type = getType(blobs);
+
+    let isAnyBinary = Object.values(blobs).some(blob => blob && isBinary(blob));
+
+    if (isAnyBinary) {
+      type = 'binary';
+    } else {
+      // leave binary contents as buffers
+      for (let key of Object.keys(blobs)) {
+        if (blobs[key]) {
+          blobs[key] = blobs[key].toString();
+        }
+      }
+    }
+
+    conflicts.push({
+      path: file,
+      type,
+      ...blobs
+    });
+  }
+
+  return conflicts;
+};
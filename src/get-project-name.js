@@ -0,0 +1,18 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs-extra');
+
+module.exports = async function getProjectName(dir) {
+  let packageJsonPath = path.join(dir, 'package.json');
+
+  if (await fs.pathExists(packageJsonPath)) {
+    let { name } = await fs.readJson(packageJsonPath);
+
+    if (name) {
+      return name;
+    }
+  }
+
+  return path.basename(dir);
+};
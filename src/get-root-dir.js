@@ -2,7 +2,7 @@
 
 const run = require('./run');
 
-module.exports = async function getSubDir() {
-  let root = (await run('git rev-parse --show-toplevel')).trim();
+module.exports = async function getSubDir(options) {
+  let root = (await run('git rev-parse --show-toplevel', options)).trim();
   return root;
 };
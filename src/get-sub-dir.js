@@ -1,6 +1,6 @@
 'use strict';
 
-module.exports = function getSubDir(root) {
-  let subDir = process.cwd().substr(root.length + 1);
+module.exports = function getSubDir(root, cwd) {
+  let subDir = cwd.substr(root.length + 1);
   return subDir;
 };
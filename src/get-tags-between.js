@@ -0,0 +1,43 @@
+'use strict';
+
+const run = require('./run');
+
+async function getTagsByCommit(gitDir) {
+  // %(*objectname) is the commit of an annotated tag
+  let refs = await run(`git --git-dir="${gitDir}" for-each-ref refs/tags --format="%(objectname) %(*objectname) %(refname:short)"`);
+
+  let tagsByCommit = {};
+
+  for (let line of refs.split(/\r?\n/g).filter(Boolean)) {
+    let [sha, peeledSha, tag] = line.split(' ');
+    let commit = peeledSha || sha;
+
+    if (!tagsByCommit[commit]) {
+      tagsByCommit[commit] = [];
+    }
+
+    tagsByCommit[commit].push(tag);
+  }
+
+  return tagsByCommit;
+}
+
+module.exports = async function getTagsBetween(gitDir, startTag, endTag) {
+  let tagsByCommit = await getTagsByCommit(gitDir);
+
+  let commits = (await run(`git --git-dir="${gitDir}" rev-list --reverse --topo-order ${startTag}..${endTag}`)).split(/\r?\n/g).filter(Boolean);
+
+  let tags = [];
+
+  for (let commit of commits) {
+    let _tags = tagsByCommit[commit];
+
+    if (!_tags) {
+      continue;
+    }
+
+    tags.push(_tags.includes(endTag) ? endTag : _tags[0]);
+  }
+
+  return tags;
+};
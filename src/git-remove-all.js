@@ -2,13 +2,16 @@
 
 const fs = require('fs-extra');
 const path = require('path');
+const { promisify } = require('util');
+const tmpDir = promisify(require('tmp').dir);
 const run = require('./run');
 
 async function lsFiles(options) {
-  // attempt to fix https://github.com/ember-cli/ember-cli-update/issues/583
-  options = { maxBuffer: 500 * 1024, ...options };
+  // large repos can list more than any fixed limit
+  // https://github.com/ember-cli/ember-cli-update/issues/583
+  options = { ...options, maxBuffer: Infinity };
 
-  let files = (await run('git ls-files', options)).trim().split(/\r?\n/g);
+  let files = (await run('git ls-files -z', options)).split('\0').filter(Boolean);
 
   return files;
 }
@@ -20,13 +23,21 @@ module.exports = async function gitRemoveAll(options) {
 
   let files = await lsFiles(options);
 
+  if (!files.length) {
+    return;
+  }
+
   for (let file of files) {
     // this removes folders that become empty,
     // which we are trying to avoid
     // await run(`git rm -f "${file}"`, options);
 
     await fs.remove(path.join(options.cwd, file));
-
-    await run(`git add "${file}"`, options);
   }
+
+  // one index update instead of a process per file
+  let stdinFile = path.join(await tmpDir(), 'files');
+  await fs.writeFile(stdinFile, `${files.join('\0')}\0`);
+
+  await run(`git update-index --remove -z --stdin < "${stdinFile}"`, options);
 };
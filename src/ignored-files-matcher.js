@@ -0,0 +1,57 @@
+'use strict';
+
+const { Minimatch } = require('minimatch');
+const normalizePath = require('./normalize-path');
+
+function ancestors(file) {
+  let parts = file.split('/');
+  let dirs = [];
+  for (let i = 1; i < parts.length; i++) {
+    dirs.push(parts.slice(0, i).join('/'));
+  }
+  return dirs;
+}
+
+module.exports = function ignoredFilesMatcher(ignoredFiles) {
+  let matchers = ignoredFiles.map(pattern => {
+    let isNegated = pattern.startsWith('!');
+    if (isNegated) {
+      pattern = pattern.substr(1);
+    }
+
+    return {
+      isNegated,
+      minimatch: new Minimatch(normalizePath(pattern), { dot: true })
+    };
+  });
+
+  function isIgnored(file) {
+    file = normalizePath(file);
+
+    // matching a directory ignores everything in it
+    let candidates = [file, ...ancestors(file)];
+
+    // like .gitignore, the last match wins
+    let isIgnored = false;
+    for (let { isNegated, minimatch } of matchers) {
+      if (candidates.some(candidate => minimatch.match(candidate))) {
+        isIgnored = !isNegated;
+      }
+    }
+
+    return isIgnored;
+  }
+
+  function mayContain(dir) {
+    dir = normalizePath(dir);
+
+    return isIgnored(dir) || matchers.some(({ isNegated, minimatch }) => {
+      return !isNegated && minimatch.match(dir, true);
+    });
+  }
+
+  return {
+    isIgnored,
+    mayContain
+  };
+};
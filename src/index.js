@@ -7,8 +7,10 @@ const fs = require('fs-extra');
 const uuidv1 = require('uuid/v1');
 const debug = require('debug')('git-diff-apply');
 const utils = require('./utils');
+const splitNul = require('./split-nul');
 const getRootDir = require('./get-root-dir');
 const getSubDir = require('./get-sub-dir');
+const expandSubDirs = require('./expand-sub-dirs');
 const gitInit = require('./git-init');
 const getCheckedOutBranchName = require('./get-checked-out-branch-name');
 const gitStatus = require('./git-status');
@@ -19,90 +21,331 @@ const resolveConflicts = require('./resolve-conflicts');
 const commitAndTag = require('./commit-and-tag');
 const gitRemoveAll = require('./git-remove-all');
 const createCustomRemote = require('./create-custom-remote');
+const createPatch = require('./create-patch');
+const createPatchRemote = require('./create-patch-remote');
+const getProjectName = require('./get-project-name');
 const mergeDir = require('./merge-dir');
+const dryRun = require('./dry-run');
+const getConflicts = require('./get-conflicts');
+const autoResolveConflicts = require('./auto-resolve-conflicts');
+const ignoredFilesMatcher = require('./ignored-files-matcher');
+const lsTree = require('./ls-tree');
+const mapPath = require('./map-path');
+const resolveTag = require('./resolve-tag');
+const getTagsBetween = require('./get-tags-between');
+const getCacheDir = require('./get-cache-dir');
+const updateMirrorCache = require('./update-mirror-cache');
+const getChangedFiles = require('./get-changed-files');
+const getChangeset = require('./get-changeset');
+const expandTemplate = require('./expand-template');
+const stash = require('./stash');
+const journal = require('./journal');
+const rollBack = require('./roll-back');
+const cleanUp = require('./clean-up');
+const errors = require('./errors');
+const {
+  InvalidOptionError,
+  TagsMatchError,
+  NotGitRepoError,
+  DirtyError,
+  CloneFailedError,
+  CleanupFailedError,
+  InProgressError,
+  NoJournalError,
+  NotResumableError,
+  AbortError
+} = errors;
 
 const { isGitClean } = gitStatus;
 
 const tempBranchName = uuidv1();
 
+const defaultJournalName = 'git-diff-apply.json';
+const stepJournalName = 'git-diff-apply-step.json';
+
 async function ensureDir(dir) {
   debug('ensureDir', dir);
   await fs.ensureDir(dir);
 }
 
-module.exports = async function gitDiffApply({
-  remoteUrl,
-  startTag,
-  endTag,
-  resolveConflicts: _resolveConflicts,
-  ignoredFiles = [],
-  reset,
-  createCustomDiff,
-  startCommand,
-  endCommand,
-  wasRunAsExecutable
-}) {
+module.exports = async function gitDiffApply(options) {
+  let {
+    remoteUrl,
+    startTag,
+    endTag,
+    resolveConflicts: _resolveConflicts,
+    conflictStrategy,
+    conflictRules = {},
+    ignoredFiles = [],
+    pathMap = {},
+    remoteSubDir,
+    subDirs,
+    reset,
+    createCustomDiff,
+    startCommand,
+    endCommand,
+    commandTimeout,
+    maxBuffer,
+    commandOutput,
+    onProgress,
+    dryRun: _dryRun,
+    stepwise,
+    branch,
+    commit: shouldCommit,
+    commitMessage = 'Apply upstream changes from {startTag} to {endTag}',
+    autoStash,
+    patchOut,
+    patchIn,
+    cache = true,
+    cacheDir = getCacheDir(),
+    invalidateCache,
+    generatorVersion,
+    // the old fixturify `from` and `to`
+    snapshots,
+    // stepwise runs are nested, so they keep their own journal
+    journalName = defaultJournalName,
+    signal: abortSignal,
+    cwd = process.cwd(),
+    wasRunAsExecutable
+  } = options;
+
   let _tmpDir;
+  let mirrorGitDir;
   let tmpGitDir;
   let tmpWorkingDir;
 
   let oldBranchName;
+  let originalBranchName;
+  let newBranchName;
   let hasConflicts;
+  let conflicts = [];
+  let resolvedConflicts = [];
+  let changes;
+  let changesBase = 'HEAD';
   let returnObject;
-
+  let steps;
+  let stashSha;
+  let stashResult;
+  let journalPath;
+
+  // what `continue` reruns with
+  let journalOptions = {
+    ...options,
+    signal: undefined,
+    commandOutput: undefined,
+    onProgress: undefined
+  };
+
+  let isNewBranchCheckedOut;
   let isTempBranchCheckedOut;
   let isCodeUntracked;
   let isCodeModified;
   let shouldReturnGitIgnoredFiles;
   let isTempBranchCommitted;
+  let isApplied;
+  let isAborted;
+  let isCleaningUp;
 
   let root;
-  let cwd;
   let gitIgnoredFiles;
+  // relative to `cwd`, which is the root when there are `subDirs`
+  let targetDirs = [''];
+  let subDirResults;
 
   let err;
 
+  let ignored = ignoredFilesMatcher(ignoredFiles);
+
+  function getState() {
+    return {
+      cwd,
+      tempBranchName,
+      oldBranchName,
+      originalBranchName,
+      newBranchName,
+      gitIgnoredFiles,
+      stashSha,
+      changesBase,
+      hasConflicts,
+      isNewBranchCheckedOut,
+      isTempBranchCheckedOut,
+      isCodeUntracked,
+      isCodeModified,
+      shouldReturnGitIgnoredFiles,
+      isTempBranchCommitted,
+      isApplied
+    };
+  }
+
+  // called after every state transition,
+  // so a killed process can be recovered from
+  async function saveJournal() {
+    if (journalPath) {
+      await journal.write(journalPath, {
+        options: journalOptions,
+        state: getState()
+      });
+    }
+
+    checkInterrupted();
+  }
+
+  function progress(event, details) {
+    debug('progress', event);
+
+    if (onProgress) {
+      onProgress({
+        event,
+        ...details
+      });
+    }
+  }
+
+  // only between steps, so the state is always known
+  function checkInterrupted() {
+    if (isCleaningUp) {
+      return;
+    }
+
+    if (isAborted) {
+      throw new AbortError();
+    }
+  }
+
+  function onAbort() {
+    debug('aborted');
+
+    isAborted = true;
+  }
+
+  function addAbortListener() {
+    if (abortSignal) {
+      isAborted = abortSignal.aborted;
+      abortSignal.addEventListener('abort', onAbort);
+    }
+  }
+
+  function removeAbortListener() {
+    if (abortSignal) {
+      abortSignal.removeEventListener('abort', onAbort);
+    }
+  }
+
   async function buildReturnObject() {
+    progress('building-changeset', {
+      startTag,
+      endTag
+    });
+
+    let returnObject = {
+      changeset: await getChangeset({
+        gitDir: tmpGitDir,
+        startTag,
+        endTag,
+        isIgnored: ignored.isIgnored
+      })
+    };
+
+    if (!snapshots) {
+      return returnObject;
+    }
+
+    progress('building-snapshot', {
+      startTag,
+      endTag
+    });
+
     await checkOutTag(_tmpDir, startTag);
 
-    let from = convertToObj(_tmpDir, ignoredFiles);
+    returnObject.from = convertToObj(_tmpDir, ignored);
 
     await checkOutTag(_tmpDir, endTag);
 
-    let to = convertToObj(_tmpDir, ignoredFiles);
+    returnObject.to = convertToObj(_tmpDir, ignored);
 
-    return {
-      from,
-      to
-    };
+    return returnObject;
   }
 
-  async function namespaceRepoWithSubDir(subDir) {
+  async function mapRepoPaths() {
     let newTmpDir = await tmpDir();
 
     await gitInit({ cwd: newTmpDir });
 
-    let newTmpSubDir = path.join(newTmpDir, subDir);
+    async function copyMapped(tag) {
+      await checkOutTag(_tmpDir, tag);
+
+      // normalized, and the rest of the remote is left behind
+      let _remoteSubDir = remoteSubDir ? mapPath(remoteSubDir, {}) : '';
+      let prefix = _remoteSubDir ? `${_remoteSubDir}/` : '';
+
+      let files = await lsTree(tmpGitDir, tag, {
+        dir: _remoteSubDir
+      });
+
+      let isAnyCopied = false;
+
+      for (let file of Object.keys(files)) {
+        if (files[file].type !== 'blob' || !file.startsWith(prefix)) {
+          continue;
+        }
+
+        await fs.copy(
+          path.join(_tmpDir, file),
+          path.join(newTmpDir, mapPath(file.substr(prefix.length), pathMap))
+        );
+
+        isAnyCopied = true;
+      }
+
+      if (_remoteSubDir && !isAnyCopied) {
+        // there would be nothing to tag
+        throw new InvalidOptionError(`No files found in "${remoteSubDir}" at ${tag}`);
+      }
+
+      await commitAndTag(tag, { cwd: newTmpDir });
+    }
+
+    await copyMapped(startTag);
 
-    async function copyToSubDir(tag) {
-      await ensureDir(newTmpSubDir);
+    if (endTag !== startTag) {
+      await gitRemoveAll({ cwd: newTmpDir });
 
+      await copyMapped(endTag);
+    }
+
+    _tmpDir = newTmpDir;
+    tmpGitDir = path.join(_tmpDir, '.git');
+    tmpWorkingDir = _tmpDir;
+  }
+
+  async function namespaceRepoWithSubDirs(subDirs) {
+    let newTmpDir = await tmpDir();
+
+    await gitInit({ cwd: newTmpDir });
+
+    async function copyToSubDirs(tag) {
       await checkOutTag(_tmpDir, tag);
 
-      await utils.copy(_tmpDir, newTmpSubDir);
+      for (let subDir of subDirs) {
+        let newTmpSubDir = path.join(newTmpDir, subDir);
+
+        await ensureDir(newTmpSubDir);
+
+        await utils.copy(_tmpDir, newTmpSubDir);
+      }
 
       await commitAndTag(tag, { cwd: newTmpDir });
     }
 
-    await copyToSubDir(startTag);
+    await copyToSubDirs(startTag);
 
     await gitRemoveAll({ cwd: newTmpDir });
 
-    await copyToSubDir(endTag);
+    await copyToSubDirs(endTag);
 
     _tmpDir = newTmpDir;
     tmpGitDir = path.join(_tmpDir, '.git');
-    tmpWorkingDir = newTmpSubDir;
+    tmpWorkingDir = newTmpDir;
   }
 
   async function copy() {
@@ -110,116 +353,466 @@ module.exports = async function gitDiffApply({
   }
 
   async function resetIgnoredFiles() {
-    for (let ignoredFile of ignoredFiles) {
-      // An exist check is not good enough.
-      // `git checkout` will fail unless it is also tracked.
-      let isTracked = await utils.run(`git ls-files ${ignoredFile}`);
-      if (isTracked) {
-        await utils.run(`git checkout -- ${ignoredFile}`);
-      } else {
-        await fs.remove(ignoredFile);
+    // ignored files are relative to each target
+    for (let targetDir of targetDirs) {
+      let dir = path.join(cwd, targetDir);
+
+      let modifiedFiles = splitNul(await utils.run('git diff --name-only --relative -z', { cwd: dir }));
+      let untrackedFiles = splitNul(await utils.run('git ls-files --others --exclude-standard -z', { cwd: dir }));
+
+      let ignoredModifiedFiles = modifiedFiles.filter(ignored.isIgnored);
+
+      if (ignoredModifiedFiles.length) {
+        // one checkout for all of them, and the names stay out of the shell
+        let stdinFile = path.join(await tmpDir(), 'files');
+        await fs.writeFile(stdinFile, `${ignoredModifiedFiles.join('\0')}\0`);
+
+        await utils.run(`git checkout-index -f -z --stdin < "${stdinFile}"`, { cwd: dir });
+      }
+
+      for (let file of untrackedFiles.filter(ignored.isIgnored)) {
+        await fs.remove(path.join(dir, file));
       }
     }
   }
 
+  async function writePatch() {
+    let patchFile = patchOut === '-' ? path.join(await tmpDir(), 'file.patch') : patchOut;
+
+    await createPatch({
+      gitDir: tmpGitDir,
+      startTag,
+      endTag,
+      isIgnored: ignored.isIgnored,
+      patchFile
+    });
+
+    if (patchOut === '-') {
+      process.stdout.write(await fs.readFile(patchFile));
+    }
+  }
+
   async function applyDiff() {
     let patchFile = path.join(await tmpDir(), 'file.patch');
-    await utils.run(`git --git-dir="${tmpGitDir}" diff ${startTag} ${endTag} --binary > ${patchFile}`);
+    await utils.run(`git --git-dir="${tmpGitDir}" diff ${startTag} ${endTag} --binary > ${patchFile}`, { cwd });
     if (await fs.readFile(patchFile, 'utf8') !== '') {
-      await utils.run(`git apply ${patchFile}`);
+      await utils.run(`git apply ${patchFile}`, { cwd });
     }
   }
 
   async function go() {
     if (reset) {
+      progress('checking-out', {
+        tag: endTag
+      });
+
       await checkOutTag(_tmpDir, endTag);
 
       isCodeUntracked = true;
       isCodeModified = true;
+      await saveJournal();
+
+      progress('applying', {
+        startTag,
+        endTag
+      });
+
       await utils.gitRemoveAll({ cwd: root });
 
       await copy();
 
-      await utils.run('git reset');
+      await utils.run('git reset', { cwd });
 
       await resetIgnoredFiles();
 
       return;
     }
 
+    progress('checking-out', {
+      tag: startTag
+    });
+
     await checkOutTag(_tmpDir, startTag);
 
-    oldBranchName = await getCheckedOutBranchName();
-    await utils.run(`git checkout --orphan ${tempBranchName}`);
+    oldBranchName = await getCheckedOutBranchName({ cwd });
+    await utils.run(`git checkout --orphan ${tempBranchName}`, { cwd });
     isTempBranchCheckedOut = true;
+    await saveJournal();
 
     await utils.gitRemoveAll({ cwd: root });
 
     gitIgnoredFiles = await tmpDir();
-    await mergeDir(cwd, gitIgnoredFiles);
+    // journal it before moving anything,
+    // so a partial move can still be returned
     shouldReturnGitIgnoredFiles = true;
+    await saveJournal();
+    for (let targetDir of targetDirs) {
+      await mergeDir(path.join(cwd, targetDir), path.join(gitIgnoredFiles, targetDir));
+    }
 
     isCodeUntracked = true;
+    await saveJournal();
     await copy();
 
-    await commit();
+    await commit({ cwd });
     isCodeUntracked = false;
     isTempBranchCommitted = true;
+    await saveJournal();
 
     isCodeUntracked = true;
     isCodeModified = true;
+    await saveJournal();
+    progress('applying', {
+      startTag,
+      endTag
+    });
     await applyDiff();
 
     await resetIgnoredFiles();
 
-    let wereAnyChanged = !await isGitClean();
+    let wereAnyChanged = !await isGitClean({ cwd });
 
     if (wereAnyChanged) {
-      await commit();
+      await commit({ cwd });
     }
     isCodeUntracked = false;
     isCodeModified = false;
+    await saveJournal();
 
     let sha;
     if (wereAnyChanged) {
-      sha = await utils.run('git rev-parse HEAD');
+      sha = await utils.run('git rev-parse HEAD', { cwd });
     }
 
-    await utils.run(`git checkout ${oldBranchName}`);
+    await utils.run(`git checkout ${oldBranchName}`, { cwd });
     isTempBranchCheckedOut = false;
+    await saveJournal();
 
     if (wereAnyChanged) {
+      // stays set until the run is applied,
+      // so conflicts and partial picks are rolled back too
+      isCodeModified = true;
+      await saveJournal();
+
+      progress('cherry-picking');
+
       try {
-        await utils.run(`git cherry-pick --no-commit ${sha.trim()}`);
+        await utils.run(`git cherry-pick --no-commit ${sha.trim()}`, { cwd });
       } catch (err) {
         hasConflicts = true;
       }
     }
+
+    if (hasConflicts) {
+      ({
+        resolved: resolvedConflicts,
+        unresolved: conflicts
+      } = await autoResolveConflicts({
+        conflicts: await getConflicts({ cwd }),
+        strategy: conflictStrategy,
+        rules: conflictRules,
+        cwd
+      }));
+
+      hasConflicts = conflicts.length > 0;
+
+      if (hasConflicts) {
+        progress('conflicts', {
+          conflicts: conflicts.map(conflict => conflict.path)
+        });
+      }
+    }
+  }
+
+  function filterConflicts(conflicts, subDir) {
+    let prefix = `${subDir}/`;
+
+    return conflicts
+      .filter(conflict => conflict.path.startsWith(prefix))
+      .map(conflict => ({
+        ...conflict,
+        path: conflict.path.substr(prefix.length)
+      }));
+  }
+
+  async function previewSubDirs() {
+    let result = {
+      clean: [],
+      conflicted: [],
+      added: [],
+      deleted: []
+    };
+
+    subDirResults = [];
+
+    for (let subDir of targetDirs) {
+      let subDirResult = await dryRun({
+        tmpGitDir,
+        startTag,
+        endTag,
+        isIgnored: ignored.isIgnored,
+        reset,
+        cwd: path.join(cwd, subDir)
+      });
+
+      subDirResults.push({
+        subDir,
+        dryRun: subDirResult
+      });
+
+      for (let key of Object.keys(result)) {
+        result[key].push(...subDirResult[key].map(file => `${subDir}/${file}`));
+      }
+    }
+
+    return result;
   }
 
+  async function getSubDirResults() {
+    let results = [];
+
+    for (let subDir of targetDirs) {
+      let _conflicts = filterConflicts(conflicts, subDir);
+      let conflictedFiles = _conflicts.map(conflict => conflict.path);
+
+      let _changes = await getChangedFiles(changesBase, {
+        cwd: path.join(cwd, subDir)
+      });
+
+      for (let key of Object.keys(_changes)) {
+        _changes[key] = _changes[key].filter(file => !conflictedFiles.includes(file));
+      }
+
+      results.push({
+        subDir,
+        conflicts: _conflicts,
+        resolvedConflicts: filterConflicts(resolvedConflicts, subDir),
+        changes: _changes
+      });
+    }
+
+    return results;
+  }
+
+  function expand(template, values) {
+    return expandTemplate(template, {
+      startTag,
+      endTag,
+      remoteUrl: options.remoteUrl,
+      ...values
+    });
+  }
+
+  async function checkOutNewBranch() {
+    newBranchName = expand(branch);
+
+    originalBranchName = await getCheckedOutBranchName({ cwd });
+    await utils.run(`git checkout -b "${newBranchName}"`, { cwd });
+    isNewBranchCheckedOut = true;
+    await saveJournal();
+  }
+
+  async function commitResult() {
+    // the result is committed, so compare against where we started
+    changesBase = (await utils.run('git rev-parse HEAD', { cwd })).trim();
+
+    isCodeUntracked = true;
+    isCodeModified = true;
+    await saveJournal();
+    progress('committing');
+    // unlike the temporary commits, this is the user's commit,
+    // so let their hooks run
+    let isCommitted = await commit({ cwd }, {
+      message: expand(commitMessage),
+      verify: true
+    });
+    isCodeUntracked = false;
+    isCodeModified = false;
+    await saveJournal();
+
+    if (isCommitted) {
+      returnObject.commit = (await utils.run('git rev-parse HEAD', { cwd })).trim();
+    }
+  }
+
+  async function applyStepwise() {
+    // the steps are committed, so compare against where we started
+    changesBase = (await utils.run('git rev-parse HEAD', { cwd })).trim();
+
+    let tags = [startTag, ...await getTagsBetween(mirrorGitDir, startTag, endTag)];
+
+    steps = [];
+    for (let i = 1; i < tags.length; i++) {
+      steps.push({
+        startTag: tags[i - 1],
+        endTag: tags[i],
+        status: 'pending'
+      });
+    }
+
+    for (let step of steps) {
+      progress('step', {
+        startTag: step.startTag,
+        endTag: step.endTag
+      });
+
+      // the mirror is local, so cloning it again for each step is cheap
+      let result = await module.exports({
+        ...options,
+        cwd,
+        remoteUrl: mirrorGitDir,
+        startTag: step.startTag,
+        endTag: step.endTag,
+        createCustomDiff: false,
+        stepwise: false,
+        branch: undefined,
+        commit: false,
+        cache: false,
+        snapshots: false,
+        resolveConflicts: false,
+        patchOut: undefined,
+        patchIn: undefined,
+        journalName: stepJournalName
+      });
+
+      ({
+        conflicts,
+        resolvedConflicts
+      } = result);
+
+      if (conflicts.length) {
+        // stop here so it can be resumed from this step
+        // once the conflicts are resolved and committed
+        hasConflicts = true;
+        step.status = 'conflicts';
+        break;
+      }
+
+      isCodeUntracked = true;
+      isCodeModified = true;
+      await saveJournal();
+      progress('committing');
+      let isCommitted = await commit({ cwd }, {
+        message: expand(commitMessage, {
+          startTag: step.startTag,
+          endTag: step.endTag
+        }),
+        verify: true
+      });
+      isCodeUntracked = false;
+      isCodeModified = false;
+
+      step.status = isCommitted ? 'committed' : 'unchanged';
+
+      if (isCommitted) {
+        // the branch has work on it now, so don't roll it back
+        isNewBranchCheckedOut = false;
+        journalOptions.branch = undefined;
+      }
+
+      // `continue` picks up from the next step
+      journalOptions.startTag = step.endTag;
+      await saveJournal();
+    }
+  }
+
+  addAbortListener();
+
   try {
-    if (startTag === endTag && !reset) {
-      throw 'Tags match, nothing to apply';
+    checkInterrupted();
+
+    for (let strategy of [conflictStrategy, ...Object.values(conflictRules)]) {
+      if (strategy && !autoResolveConflicts.strategies.includes(strategy)) {
+        throw new InvalidOptionError(`Unknown conflict strategy "${strategy}"`);
+      }
+    }
+
+    if (patchIn) {
+      for (let [option, value] of [
+        ['createCustomDiff', createCustomDiff],
+        ['reset', reset]
+      ]) {
+        if (value) {
+          // the patch only has the changed files
+          throw new InvalidOptionError(`patchIn can't be used with ${option}`);
+        }
+      }
+    } else if (startTag === endTag && !reset) {
+      throw new TagsMatchError();
+    }
+
+    if (subDirs && reset) {
+      // it would remove everything outside of them too
+      throw new InvalidOptionError('subDirs can\'t be used with reset');
     }
 
     let isClean;
 
     try {
-      isClean = await isGitClean();
+      // git resolves symlinks, so match it
+      // when working out the sub directory
+      cwd = await fs.realpath(cwd);
+
+      isClean = await isGitClean({ cwd });
     } catch (err) {
-      throw 'Not a git repository';
+      throw new NotGitRepoError(err);
+    }
+
+    if (subDirs) {
+      root = await getRootDir({ cwd });
+
+      targetDirs = await expandSubDirs(subDirs, { cwd: root });
+
+      // the targets are relative to the root, so work from there
+      cwd = root;
     }
 
+    let _journalPath = await journal.getJournalPath(journalName, { cwd });
+
+    if (await journal.read(_journalPath)) {
+      throw new InProgressError();
+    }
+
+    journalPath = _journalPath;
+
     if (!isClean) {
-      throw 'You must start with a clean working directory';
+      // a dry run doesn't touch the working directory
+      if (!autoStash || _dryRun) {
+        throw new DirtyError();
+      }
+
+      stashSha = await stash({ cwd });
+      await saveJournal();
+    }
+
+    if (patchIn) {
+      ({
+        remoteUrl,
+        startTag,
+        endTag
+      } = await createPatchRemote(patchIn));
     }
 
     if (createCustomDiff) {
+      progress('generating', {
+        startTag,
+        endTag
+      });
+
       let tmpPath = await createCustomRemote({
         startCommand,
         endCommand,
         startTag,
-        endTag
+        endTag,
+        projectName: await getProjectName(cwd),
+        cache,
+        cacheDir,
+        invalidateCache,
+        generatorVersion,
+        timeout: commandTimeout,
+        maxBuffer,
+        output: commandOutput,
+        signal: abortSignal
       });
 
       remoteUrl = tmpPath;
@@ -229,71 +822,358 @@ module.exports = async function gitDiffApply({
     tmpGitDir = path.join(_tmpDir, '.git');
     tmpWorkingDir = _tmpDir;
 
-    await utils.run(`git clone --mirror ${remoteUrl} ${tmpGitDir}`);
+    progress('cloning', {
+      remoteUrl
+    });
+
+    try {
+      let cloneUrl = remoteUrl;
+
+      // local remotes are already fast to clone
+      if (cache && !await fs.pathExists(remoteUrl)) {
+        let cachedMirrorDir = await updateMirrorCache({
+          remoteUrl,
+          cacheDir
+        });
+
+        cloneUrl = `"${cachedMirrorDir}"`;
+      }
+
+      // git keeps the terminal so it can prompt for credentials,
+      // an abort is noticed once it's done
+      await utils.run(`git clone --mirror ${cloneUrl} ${tmpGitDir}`);
+    } catch (err) {
+      throw new CloneFailedError(remoteUrl, err);
+    }
+
+    mirrorGitDir = tmpGitDir;
+
+    checkInterrupted();
+
+    endTag = await resolveTag(tmpGitDir, endTag);
+
+    // so `continue` doesn't resolve to a newer tag
+    journalOptions.endTag = endTag;
+
+    // again now that "latest" and ranges are resolved
+    if (startTag === endTag && !reset) {
+      throw new TagsMatchError();
+    }
+
+    if (remoteSubDir || Object.keys(pathMap).length) {
+      // rewrite the upstream layout to the local layout
+      // so the patch and snapshots line up
+      await mapRepoPaths();
+    }
 
     returnObject = await buildReturnObject();
 
-    root = await getRootDir();
-    let subDir = getSubDir(root);
-    if (subDir) {
-      await namespaceRepoWithSubDir(subDir);
+    checkInterrupted();
+
+    if (patchOut) {
+      await writePatch();
     }
 
-    cwd = process.cwd();
+    returnObject.startTag = startTag;
+    returnObject.endTag = endTag;
 
-    await go();
-  } catch (_err) {
-    err = _err;
+    if (_dryRun && subDirs) {
+      returnObject.dryRun = await previewSubDirs();
+    } else if (_dryRun) {
+      returnObject.dryRun = await dryRun({
+        tmpGitDir,
+        startTag,
+        endTag,
+        isIgnored: ignored.isIgnored,
+        reset,
+        cwd
+      });
+    } else if (stepwise && !reset) {
+      if (branch) {
+        await checkOutNewBranch();
+      }
 
-    try {
-      if (isCodeUntracked) {
-        await utils.run('git clean -f');
+      await applyStepwise();
+    } else {
+      root = await getRootDir({ cwd });
+      let subDir = getSubDir(root, cwd);
+      if (subDirs) {
+        await namespaceRepoWithSubDirs(targetDirs);
+      } else if (subDir) {
+        await namespaceRepoWithSubDirs([subDir]);
+        tmpWorkingDir = path.join(_tmpDir, subDir);
       }
-      if (isCodeModified) {
-        await utils.run('git reset --hard');
+
+      if (branch) {
+        await checkOutNewBranch();
       }
 
-      if (isTempBranchCheckedOut) {
-        await utils.run(`git checkout ${oldBranchName}`);
+      await go();
+
+      if (shouldCommit && !hasConflicts) {
+        await commitResult();
       }
+    }
+
+    if (!_dryRun) {
+      // only cleanup is left
+      isApplied = true;
+      await saveJournal();
+      isCodeModified = false;
+      await saveJournal();
+
+      let conflictedFiles = conflicts.map(conflict => conflict.path);
+
+      changes = await getChangedFiles(changesBase, { cwd });
+
+      for (let key of Object.keys(changes)) {
+        changes[key] = changes[key].filter(file => !conflictedFiles.includes(file));
+      }
+
+      if (subDirs) {
+        subDirResults = await getSubDirResults();
+      }
+    }
+  } catch (_err) {
+    isCleaningUp = true;
+
+    err = _err;
+
+    // a killed child process is a symptom of the signal
+    if (isAborted && !(err instanceof AbortError)) {
+      err = new AbortError(err);
+    }
+
+    progress('rolling-back');
+
+    try {
+      await rollBack(getState());
+
+      isCodeUntracked = false;
+      isCodeModified = false;
+      isTempBranchCheckedOut = false;
+      isNewBranchCheckedOut = false;
+      await saveJournal();
     } catch (err2) {
-      throw {
-        err,
-        err2
-      };
+      removeAbortListener();
+
+      // the journal is kept so it can be aborted again
+      throw new CleanupFailedError(err2, err);
     }
   }
 
+  isCleaningUp = true;
+
+  progress('cleanup');
+
   try {
-    if (isTempBranchCommitted) {
-      await utils.run(`git branch -D ${tempBranchName}`);
-    }
+    await cleanUp(getState());
 
-    if (shouldReturnGitIgnoredFiles) {
-      await mergeDir(gitIgnoredFiles, cwd);
-    }
+    isTempBranchCommitted = false;
+    shouldReturnGitIgnoredFiles = false;
+    await saveJournal();
   } catch (err2) {
-    err = {
-      err,
-      err2
-    };
+    err = new CleanupFailedError(err2, err);
+  }
+
+  if (stashSha) {
+    if (hasConflicts) {
+      // it can't be applied on top of unresolved conflicts,
+      // so leave it for after they are resolved
+      stashResult = {
+        sha: stashSha,
+        restored: false,
+        conflicts: []
+      };
+    } else {
+      try {
+        stashResult = await stash.unstash(stashSha, { cwd });
+      } catch (err2) {
+        err = new CleanupFailedError(err2, err);
+      }
+    }
   }
 
+  if (journalPath && !(err instanceof CleanupFailedError)) {
+    // everything is restored, so there's nothing left to recover
+    await journal.remove(journalPath);
+  }
+
+  removeAbortListener();
+
   if (err) {
     throw err;
   }
 
+  if (!_dryRun) {
+    returnObject.conflicts = conflicts;
+    returnObject.resolvedConflicts = resolvedConflicts;
+    returnObject.changes = changes;
+  }
+
+  if (steps) {
+    returnObject.steps = steps;
+  }
+
+  if (subDirResults) {
+    returnObject.subDirs = subDirResults;
+  }
+
+  if (newBranchName) {
+    returnObject.branch = newBranchName;
+  }
+
+  if (stashResult) {
+    returnObject.stash = stashResult;
+  }
+
   if (hasConflicts && _resolveConflicts) {
     returnObject.resolveConflictsProcess = resolveConflicts({
-      shouldPipe: !wasRunAsExecutable
+      shouldPipe: !wasRunAsExecutable,
+      cwd,
+      signal: abortSignal
     });
   }
 
   return returnObject;
 };
 
+async function recover(journalPath, {
+  shouldRollBack
+}) {
+  let entry = await journal.read(journalPath);
+  let { state } = entry;
+
+  let stashResult;
+
+  try {
+    if (shouldRollBack) {
+      await rollBack(state);
+
+      state = {
+        ...state,
+        isCodeUntracked: false,
+        isCodeModified: false,
+        isTempBranchCheckedOut: false,
+        isNewBranchCheckedOut: false
+      };
+      await journal.write(journalPath, {
+        ...entry,
+        state
+      });
+    }
+
+    await cleanUp(state);
+
+    if (state.stashSha && !state.hasConflicts) {
+      stashResult = await stash.unstash(state.stashSha, { cwd: state.cwd });
+    }
+  } catch (err) {
+    // the journal is kept so it can be tried again
+    throw new CleanupFailedError(err);
+  }
+
+  await journal.remove(journalPath);
+
+  return {
+    state,
+    stash: stashResult
+  };
+}
+
+async function abort({
+  cwd = process.cwd()
+} = {}) {
+  let journalPath = await journal.getJournalPath(defaultJournalName, { cwd });
+  let stepJournalPath = await journal.getJournalPath(stepJournalName, { cwd });
+
+  if (!await journal.read(journalPath)) {
+    throw new NoJournalError();
+  }
+
+  // innermost first, the same order they would have finished in
+  if (await journal.read(stepJournalPath)) {
+    await recover(stepJournalPath, {
+      shouldRollBack: true
+    });
+  }
+
+  await recover(journalPath, {
+    shouldRollBack: true
+  });
+}
+
+async function continueRun({
+  cwd = process.cwd(),
+  signal
+} = {}) {
+  let journalPath = await journal.getJournalPath(defaultJournalName, { cwd });
+
+  let entry = await journal.read(journalPath);
+
+  if (!entry) {
+    throw new NoJournalError();
+  }
+
+  let {
+    options,
+    state
+  } = entry;
+
+  // the last step was committed
+  let isStepwiseDone = options.stepwise && options.startTag === options.endTag;
+
+  if (!state.isApplied && !isStepwiseDone) {
+    // functions don't survive the journal,
+    // so there is nothing to run again
+    if (options.createCustomDiff && (typeof options.startCommand !== 'string' || typeof options.endCommand !== 'string')) {
+      throw new NotResumableError();
+    }
+
+    // a run can't be resumed halfway,
+    // so undo it and run it again from the last good point
+    await abort({ cwd });
+
+    return await module.exports({
+      ...options,
+      cwd,
+      signal
+    });
+  }
+
+  let { stash } = await recover(journalPath, {
+    shouldRollBack: false
+  });
+
+  let conflicts = await getConflicts({ cwd });
+  let conflictedFiles = conflicts.map(conflict => conflict.path);
+
+  let changes = await getChangedFiles(state.changesBase, { cwd });
+
+  for (let key of Object.keys(changes)) {
+    changes[key] = changes[key].filter(file => !conflictedFiles.includes(file));
+  }
+
+  let returnObject = {
+    startTag: options.startTag,
+    endTag: options.endTag,
+    conflicts,
+    resolvedConflicts: [],
+    changes
+  };
+
+  if (stash) {
+    returnObject.stash = stash;
+  }
+
+  return returnObject;
+}
+
+module.exports.abort = abort;
+module.exports.continue = continueRun;
 module.exports.run = utils.run;
 module.exports.gitInit = gitInit;
 module.exports.gitStatus = gitStatus;
 module.exports.isGitClean = isGitClean;
 module.exports.gitRemoveAll = gitRemoveAll;
+module.exports.errors = errors;
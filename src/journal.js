@@ -0,0 +1,46 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs-extra');
+const debug = require('debug')('git-diff-apply');
+const run = require('./run');
+
+async function getJournalPath(name, options) {
+  let gitDir = (await run('git rev-parse --git-dir', options)).trim();
+
+  return path.resolve(options && options.cwd || process.cwd(), gitDir, name);
+}
+
+async function read(journalPath) {
+  let json;
+
+  try {
+    json = await fs.readFile(journalPath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+
+  return JSON.parse(json);
+}
+
+async function write(journalPath, entry) {
+  debug(`journal ${JSON.stringify(entry.state)}`);
+
+  // a rename is atomic, so a killed process
+  // never leaves a half-written journal behind
+  let tmpPath = `${journalPath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(entry, null, 2));
+  await fs.rename(tmpPath, journalPath);
+}
+
+async function remove(journalPath) {
+  await fs.remove(journalPath);
+}
+
+module.exports.getJournalPath = getJournalPath;
+module.exports.read = read;
+module.exports.write = write;
+module.exports.remove = remove;
@@ -0,0 +1,101 @@
+'use strict';
+
+const fs = require('fs-extra');
+const uuidv1 = require('uuid/v1');
+const debug = require('debug')('git-diff-apply');
+
+// a lock left behind by a killed process,
+// held locks are touched well within this
+const defaultStaleTime = 10 * 60 * 1000;
+const retryDelay = 100;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function takeOver(lockDir, stats) {
+  debug(`taking over stale lock ${lockDir}`);
+
+  // `rename` is atomic, so only one waiter can move the stale lock away
+  let staleDir = `${lockDir}.${uuidv1()}`;
+
+  try {
+    await fs.rename(lockDir, staleDir);
+  } catch (err) {
+    // another waiter got there first
+    return;
+  }
+
+  let movedStats = await fs.stat(staleDir);
+
+  if (movedStats.ino !== stats.ino || movedStats.mtimeMs !== stats.mtimeMs) {
+    // it was taken over and locked again, or refreshed,
+    // between our `stat` and `rename`, so give it back
+    await fs.rename(staleDir, lockDir);
+    return;
+  }
+
+  await fs.remove(staleDir);
+}
+
+async function tryLock(lockDir, staleTime) {
+  // `mkdir` is atomic, so only one process can win
+  try {
+    await fs.mkdir(lockDir);
+    return true;
+  } catch (err) {
+    if (err.code !== 'EEXIST') {
+      throw err;
+    }
+  }
+
+  let stats;
+  try {
+    stats = await fs.stat(lockDir);
+  } catch (err) {
+    // released in the meantime
+    return false;
+  }
+
+  if (Date.now() - stats.mtimeMs > staleTime) {
+    await takeOver(lockDir, stats);
+  }
+
+  return false;
+}
+
+function keepFresh(lockDir, staleTime) {
+  let interval = setInterval(async() => {
+    let now = new Date();
+
+    try {
+      await fs.utimes(lockDir, now, now);
+    } catch (err) {
+      debug(`could not refresh lock ${lockDir}: ${err.message}`);
+    }
+  }, staleTime / 2);
+
+  // don't keep the process alive for this
+  interval.unref();
+
+  return interval;
+}
+
+module.exports = async function lock(lockDir, {
+  staleTime = defaultStaleTime
+} = {}) {
+  debug(`lock ${lockDir}`);
+
+  while (!await tryLock(lockDir, staleTime)) {
+    await sleep(retryDelay);
+  }
+
+  // a long clone shouldn't look like a killed process
+  let interval = keepFresh(lockDir, staleTime);
+
+  return async function unlock() {
+    debug(`unlock ${lockDir}`);
+    clearInterval(interval);
+    await fs.remove(lockDir);
+  };
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+const run = require('./run');
+
+module.exports = async function lsTree(gitDir, treeish, {
+  dir,
+  ...options
+} = {}) {
+  let gitDirArg = gitDir ? `--git-dir="${gitDir}" ` : '';
+  let dirArg = dir ? ` -- "${dir}"` : '';
+
+  // this can be every file in the repo
+  options = { ...options, maxBuffer: Infinity };
+
+  let stdout = await run(`git ${gitDirArg}ls-tree -r -z ${treeish}${dirArg}`, options);
+
+  let files = {};
+
+  for (let line of stdout.split('\0').filter(Boolean)) {
+    // <mode> SP <type> SP <object> TAB <file>
+    let i = line.indexOf('\t');
+    let [mode, type, sha] = line.substr(0, i).split(' ');
+    let file = line.substr(i + 1);
+
+    files[file] = {
+      mode,
+      type,
+      sha
+    };
+  }
+
+  return files;
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+const path = require('path');
+const normalizePath = require('./normalize-path');
+
+function normalize(file) {
+  // the root can also be "./" or "."
+  file = normalizePath(file).replace(/^\.\//, '');
+  if (file === '.') {
+    file = '';
+  }
+  return file;
+}
+
+module.exports = function mapPath(file, pathMap) {
+  file = normalize(file);
+
+  let match;
+
+  for (let from of Object.keys(pathMap)) {
+    let _from = normalize(from);
+
+    let isMatch = _from === '' || file === _from || file.startsWith(`${_from}/`);
+
+    // the most specific mapping wins
+    if (isMatch && (!match || _from.length > match.from.length)) {
+      match = {
+        from: _from,
+        to: normalize(pathMap[from])
+      };
+    }
+  }
+
+  if (!match) {
+    return file;
+  }
+
+  let rest = file.substr(match.from.length).replace(/^\//, '');
+
+  return path.posix.join(match.to, rest);
+};
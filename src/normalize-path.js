@@ -0,0 +1,7 @@
+'use strict';
+
+// user given paths can have Windows separators or a trailing slash,
+// git's never do
+module.exports = function normalizePath(file) {
+  return file.replace(/\\/g, '/').replace(/\/$/, '');
+};
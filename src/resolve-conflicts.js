@@ -4,12 +4,30 @@ const { spawn } = require('child_process');
 const debug = require('debug')('git-diff-apply');
 
 module.exports = function resolveConflicts({
-  shouldPipe
+  shouldPipe,
+  cwd,
+  signal
 }) {
   debug('git mergetool');
   // we need to print it to the host's console
   // or make it available for piping
-  return spawn('git', ['mergetool'], {
-    stdio: shouldPipe ? 'pipe' : 'inherit'
+  let child = spawn('git', ['mergetool'], {
+    stdio: shouldPipe ? 'pipe' : 'inherit',
+    cwd
   });
+
+  if (signal) {
+    let onAbort = () => {
+      debug('killing git mergetool');
+      child.kill();
+    };
+
+    signal.addEventListener('abort', onAbort);
+
+    child.on('exit', () => {
+      signal.removeEventListener('abort', onAbort);
+    });
+  }
+
+  return child;
 };
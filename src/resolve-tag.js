@@ -0,0 +1,61 @@
+'use strict';
+
+const semver = require('semver');
+const run = require('./run');
+const { TagNotFoundError } = require('./errors');
+
+async function getTags(gitDir) {
+  let tags = await run(`git --git-dir="${gitDir}" tag --list`);
+
+  return tags.split(/\r?\n/g).filter(Boolean);
+}
+
+function getVersions(tags) {
+  let versions = {};
+
+  for (let tag of tags) {
+    let version = semver.valid(tag);
+
+    if (version && !versions[version]) {
+      versions[version] = tag;
+    }
+  }
+
+  return versions;
+}
+
+function isResolvable(tag) {
+  return tag === 'latest' || tag === 'latest-stable' || semver.validRange(tag) !== null;
+}
+
+module.exports = async function resolveTag(gitDir, tag) {
+  if (!isResolvable(tag)) {
+    return tag;
+  }
+
+  let tags = await getTags(gitDir);
+
+  // an existing tag always wins over a range
+  // ex. "v3" is both a tag and a range
+  if (tags.includes(tag)) {
+    return tag;
+  }
+
+  let versions = getVersions(tags);
+
+  let version;
+
+  if (tag === 'latest') {
+    version = Object.keys(versions).sort(semver.rcompare)[0];
+  } else if (tag === 'latest-stable') {
+    version = Object.keys(versions).filter(version => !semver.prerelease(version)).sort(semver.rcompare)[0];
+  } else {
+    version = semver.maxSatisfying(Object.keys(versions), tag);
+  }
+
+  if (!version) {
+    throw new TagNotFoundError(tag);
+  }
+
+  return versions[version];
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+const utils = require('./utils');
+
+// undoes whatever the flags say is in flight,
+// either from a failed run or from a journal
+module.exports = async function rollBack({
+  cwd,
+  oldBranchName,
+  originalBranchName,
+  newBranchName,
+  isCodeUntracked,
+  isCodeModified,
+  isTempBranchCheckedOut,
+  isNewBranchCheckedOut
+}) {
+  if (isCodeUntracked) {
+    await utils.run('git clean -f', { cwd });
+  }
+  if (isCodeModified) {
+    await utils.run('git reset --hard', { cwd });
+  }
+
+  if (isTempBranchCheckedOut) {
+    await utils.run(`git checkout ${oldBranchName}`, { cwd });
+  }
+
+  if (isNewBranchCheckedOut) {
+    await utils.run(`git checkout ${originalBranchName}`, { cwd });
+    await utils.run(`git branch -D "${newBranchName}"`, { cwd });
+  }
+};
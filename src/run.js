@@ -1,12 +1,154 @@
 'use strict';
 
 const { promisify } = require('util');
+const { spawn } = require('child_process');
 const exec = promisify(require('child_process').exec);
 const debug = require('debug')('git-diff-apply');
+const { AbortError } = require('./errors');
+
+// the same as `exec`
+const defaultMaxBuffer = 1024 * 1024;
+
+// like `exec`, but the shell gets its own process group
+// so killing it takes whatever it started down too
+function execKillable(command, {
+  signal,
+  timeout,
+  maxBuffer = defaultMaxBuffer,
+  output,
+  ...options
+}) {
+  return new Promise((resolve, reject) => {
+    let isGroup = process.platform !== 'win32';
+
+    let child = spawn(command, {
+      ...options,
+      shell: true,
+      detached: isGroup
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let killed = false;
+    let timedOut = false;
+    let isMaxBufferExceeded = false;
+
+    function kill() {
+      killed = true;
+
+      if (isGroup) {
+        try {
+          process.kill(-child.pid);
+          return;
+        } catch (err) {
+          // already exited
+        }
+      }
+
+      child.kill();
+    }
+
+    function onData(data, isStdout) {
+      if (output) {
+        output.write(data);
+      }
+
+      if (isStdout) {
+        stdout += data;
+      } else {
+        stderr += data;
+      }
+
+      if (!isMaxBufferExceeded && stdout.length + stderr.length > maxBuffer) {
+        debug(`maxBuffer exceeded ${command}`);
+        isMaxBufferExceeded = true;
+        kill();
+      }
+    }
+
+    // decodes across chunks,
+    // so a character split between two isn't mangled
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+
+    child.stdout.on('data', data => onData(data, true));
+    child.stderr.on('data', data => onData(data, false));
+
+    function onAbort() {
+      debug(`killing ${command}`);
+      kill();
+    }
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+
+    let timer;
+
+    if (timeout) {
+      timer = setTimeout(() => {
+        debug(`timed out ${command}`);
+        timedOut = true;
+        kill();
+      }, timeout);
+    }
+
+    function done() {
+      clearTimeout(timer);
+
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+
+    child.on('error', err => {
+      done();
+      reject(err);
+    });
+
+    child.on('close', (code, killSignal) => {
+      done();
+
+      if (code === 0 && !isMaxBufferExceeded) {
+        resolve({ stdout, stderr });
+        return;
+      }
+
+      let message = isMaxBufferExceeded ? 'stdout maxBuffer length exceeded' : `Command failed: ${command}\n${stderr}`;
+
+      // the same shape `exec` rejects with
+      let err = new Error(message);
+      Object.assign(err, {
+        code,
+        killed,
+        signal: killSignal,
+        timedOut,
+        cmd: command,
+        stdout,
+        stderr
+      });
+      reject(err);
+    });
+  });
+}
+
+module.exports = async function run(command, options = {}) {
+  let {
+    signal,
+    timeout,
+    output
+  } = options;
+
+  if (signal && signal.aborted) {
+    throw new AbortError();
+  }
 
-module.exports = async function run(command, options) {
   debug(command);
-  let { stdout } = await exec(command, options);
+
+  let { stdout } = signal || timeout || output ?
+    await execKillable(command, options) :
+    await exec(command, options);
+
   debug(stdout);
   return stdout;
 };
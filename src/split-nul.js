@@ -0,0 +1,6 @@
+'use strict';
+
+// `-z` output ends with a NUL, so drop the empty last entry
+module.exports = function splitNul(str) {
+  return str.split('\0').filter(Boolean);
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+const run = require('./run');
+const getConflicts = require('./get-conflicts');
+
+async function stash(options) {
+  await run('git stash push --include-untracked -m "git-diff-apply autostash"', options);
+
+  return (await run('git rev-parse stash@{0}', options)).trim();
+}
+
+async function dropStash(sha, options) {
+  let stashes = await run('git stash list --format="%gd %H"', options);
+
+  for (let line of stashes.split(/\r?\n/g).filter(Boolean)) {
+    let [ref, _sha] = line.split(' ');
+
+    // other stashes could have been pushed in the meantime
+    if (_sha === sha) {
+      await run(`git stash drop ${ref}`, options);
+      return;
+    }
+  }
+}
+
+async function unstash(sha, options) {
+  try {
+    await run(`git stash apply ${sha}`, options);
+  } catch (err) {
+    // the stash is only dropped when fully applied,
+    // so it is never lost
+    return {
+      sha,
+      restored: false,
+      conflicts: await getConflicts(options)
+    };
+  }
+
+  await dropStash(sha, options);
+
+  return {
+    sha,
+    restored: true,
+    conflicts: []
+  };
+}
+
+module.exports = stash;
+module.exports.unstash = unstash;
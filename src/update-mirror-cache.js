@@ -0,0 +1,42 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const run = require('./run');
+const lock = require('./lock');
+
+module.exports = async function updateMirrorCache({
+  remoteUrl,
+  cacheDir
+}) {
+  let mirrorsDir = path.join(cacheDir, 'mirrors');
+
+  await fs.ensureDir(mirrorsDir);
+
+  let key = crypto.createHash('sha1').update(remoteUrl).digest('hex');
+
+  let mirrorDir = path.join(mirrorsDir, key);
+
+  let unlock = await lock(`${mirrorDir}.lock`);
+
+  try {
+    if (await fs.pathExists(mirrorDir)) {
+      await run(`git --git-dir="${mirrorDir}" fetch --tags`);
+    } else {
+      // clone next to it and move it into place
+      // so a killed clone never looks like a valid mirror
+      let partialDir = `${mirrorDir}.partial`;
+
+      await fs.remove(partialDir);
+
+      await run(`git clone --mirror ${remoteUrl} "${partialDir}"`);
+
+      await fs.move(partialDir, mirrorDir);
+    }
+  } finally {
+    await unlock();
+  }
+
+  return mirrorDir;
+};
@@ -2,6 +2,11 @@
 
 const { describe, it } = require('../helpers/mocha');
 const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs-extra');
+const { promisify } = require('util');
+const { spawn } = require('child_process');
+const execFile = promisify(require('child_process').execFile);
 const {
   buildTmp,
   processBin,
@@ -42,6 +47,20 @@ describe(function() {
     }).promise;
   }
 
+  async function mergeJson(args) {
+    let binFile = path.join(process.cwd(), 'bin/git-diff-apply.js');
+
+    try {
+      let { stdout } = await execFile('node', [binFile, '--json', ...args], {
+        cwd: localDir
+      });
+
+      return { json: JSON.parse(stdout), exitCode: 0 };
+    } catch (err) {
+      return { json: JSON.parse(err.stdout), exitCode: err.code };
+    }
+  }
+
   function fixtureCompare({
     mergeFixtures
   }) {
@@ -91,4 +110,273 @@ D  removed-unchanged.txt
     expect(status).to.equal(`M  .gitignore
 `);
   });
+
+  describe('json', function() {
+    it('prints the result', async function() {
+      localDir = await buildTmp({
+        fixturesPath: 'test/fixtures/local/conflict'
+      });
+      remoteDir = await buildTmp({
+        fixturesPath: 'test/fixtures/remote/conflict'
+      });
+
+      let {
+        json,
+        exitCode
+      } = await mergeJson([
+        '--remote-url',
+        remoteDir,
+        '--start-tag',
+        'v1',
+        '--end-tag',
+        'v3'
+      ]);
+
+      expect(exitCode).to.equal(0);
+
+      expect(json).to.deep.equal({
+        startTag: 'v1',
+        endTag: 'v3',
+        applied: true,
+        changes: {
+          added: [
+            'added-changed.txt',
+            'added-unchanged.txt'
+          ],
+          modified: [],
+          deleted: [
+            'removed-unchanged.txt'
+          ]
+        },
+        conflicts: [
+          { path: 'missing-changed.txt', type: 'modify/delete' },
+          { path: 'present-added-changed.txt', type: 'add/add' },
+          { path: 'present-changed.txt', type: 'content' },
+          { path: 'removed-changed.txt', type: 'modify/delete' }
+        ],
+        resolvedConflicts: [],
+        error: null
+      });
+    });
+
+    it('prints the result of each sub dir', async function() {
+      localDir = await buildTmp({
+        fixturesPath: 'test/fixtures/local/sub-dirs'
+      });
+      remoteDir = await buildTmp({
+        fixturesPath: 'test/fixtures/remote/noconflict'
+      });
+
+      let {
+        json,
+        exitCode
+      } = await mergeJson([
+        '--remote-url',
+        remoteDir,
+        '--start-tag',
+        'v1',
+        '--end-tag',
+        'v3',
+        '--sub-dirs',
+        'packages/*'
+      ]);
+
+      expect(exitCode).to.equal(0);
+
+      expect(json.subDirs).to.deep.equal([
+        {
+          subDir: 'packages/a',
+          applied: true,
+          changes: {
+            added: [],
+            modified: ['changed.txt'],
+            deleted: []
+          },
+          conflicts: [],
+          resolvedConflicts: []
+        },
+        {
+          subDir: 'packages/b',
+          applied: true,
+          changes: {
+            added: [],
+            modified: [],
+            deleted: []
+          },
+          conflicts: [
+            { path: 'changed.txt', type: 'content' }
+          ],
+          resolvedConflicts: []
+        }
+      ]);
+    });
+
+    it('prints errors', async function() {
+      localDir = await buildTmp({
+        fixturesPath: 'test/fixtures/local/noconflict',
+        dirty: true
+      });
+
+      let {
+        json,
+        exitCode
+      } = await mergeJson([
+        '--remote-url',
+        localDir,
+        '--start-tag',
+        'v1',
+        '--end-tag',
+        'v3'
+      ]);
+
+      expect(exitCode).to.equal(4);
+
+      expect(json.applied).to.be.false;
+      expect(json.error).to.deep.equal({
+        code: 'E_DIRTY',
+        message: 'You must start with a clean working directory'
+      });
+    });
+
+    it('validates options', async function() {
+      localDir = await buildTmp({
+        fixturesPath: 'test/fixtures/local/noconflict'
+      });
+
+      let {
+        json,
+        exitCode
+      } = await mergeJson([
+        '--start-tag',
+        'v1',
+        '--end-tag',
+        'v3'
+      ]);
+
+      expect(exitCode).to.equal(2);
+
+      expect(json.error).to.deep.equal({
+        code: 'E_INVALID_OPTION',
+        message: 'Missing required argument: remote-url'
+      });
+    });
+
+    it('validates path maps', async function() {
+      localDir = await buildTmp({
+        fixturesPath: 'test/fixtures/local/noconflict'
+      });
+
+      let {
+        json,
+        exitCode
+      } = await mergeJson([
+        '--remote-url',
+        localDir,
+        '--start-tag',
+        'v1',
+        '--end-tag',
+        'v3',
+        '--path-map',
+        'app'
+      ]);
+
+      expect(exitCode).to.equal(2);
+
+      expect(json.error).to.deep.equal({
+        code: 'E_INVALID_OPTION',
+        message: 'Invalid path-map "app", expected "upstream:local"'
+      });
+    });
+
+    it('reports when there is nothing to abort', async function() {
+      localDir = await buildTmp({
+        fixturesPath: 'test/fixtures/local/noconflict'
+      });
+
+      let {
+        json,
+        exitCode
+      } = await mergeJson([
+        '--abort'
+      ]);
+
+      expect(exitCode).to.equal(10);
+
+      expect(json.error.code).to.equal('E_NO_JOURNAL');
+    });
+  });
+
+  it('aborts with other flags', async function() {
+    localDir = await buildTmp({
+      fixturesPath: 'test/fixtures/local/noconflict'
+    });
+
+    // an interrupted run with nothing left to roll back
+    await fs.writeJson(path.join(localDir, '.git/git-diff-apply.json'), {
+      options: {},
+      state: {
+        cwd: localDir
+      }
+    });
+
+    let binFile = path.join(process.cwd(), 'bin/git-diff-apply.js');
+
+    let { stderr } = await execFile('node', [binFile, '--abort', '--dry-run', '--stepwise'], {
+      cwd: localDir
+    });
+
+    expect(stderr).to.equal('');
+    expect(await fs.pathExists(path.join(localDir, '.git/git-diff-apply.json'))).to.not.be.ok;
+  });
+
+  it('rolls back when interrupted', async function() {
+    // the generator would take longer than this
+    this.timeout(10000);
+
+    localDir = await buildTmp({
+      fixturesPath: 'test/fixtures/local/noconflict'
+    });
+
+    let binFile = path.join(process.cwd(), 'bin/git-diff-apply.js');
+
+    let ps = spawn('node', [
+      binFile,
+      '--create-custom-diff',
+      '--start-command',
+      'sleep 25',
+      '--end-command',
+      'true',
+      '--no-cache',
+      '--start-tag',
+      'v1',
+      '--end-tag',
+      'v3'
+    ], {
+      cwd: localDir
+    });
+
+    let stderr = '';
+
+    let exitCode = await new Promise(resolve => {
+      ps.stderr.on('data', data => {
+        // wait for the generator to be running
+        if (!stderr.includes('generating') && `${stderr}${data}`.includes('generating')) {
+          setTimeout(() => ps.kill('SIGINT'), 500);
+        }
+
+        stderr += data;
+      });
+
+      ps.on('exit', resolve);
+    });
+
+    expect(exitCode).to.equal(130);
+    expect(stderr).to.contain('Interrupted by SIGINT');
+
+    let { stdout: status } = await execFile('git', ['status', '--porcelain'], {
+      cwd: localDir
+    });
+
+    expect(status).to.equal('');
+  });
 });
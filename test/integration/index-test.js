@@ -14,6 +14,7 @@ const {
 } = require('git-fixtures');
 const gitDiffApply = require('../../src');
 const utils = require('../../src/utils');
+const AbortController = require('../../src/abort-controller');
 const { isGitClean } = gitDiffApply;
 const getCheckedOutBranchName = require('../../src/get-checked-out-branch-name');
 const { promisify } = require('util');
@@ -56,6 +57,22 @@ describe(function() {
     createCustomDiff,
     startCommand,
     endCommand,
+    dryRun,
+    conflictStrategy,
+    conflictRules,
+    pathMap,
+    remoteSubDir,
+    subDirs,
+    stepwise,
+    cache,
+    cacheDir,
+    autoStash,
+    patchIn,
+    invalidateCache,
+    generatorVersion,
+    snapshots,
+    onProgress,
+    commitMessage = 'local',
     beforeMerge = async() => {}
   }) {
     localDir = await buildTmp({
@@ -86,16 +103,49 @@ describe(function() {
       reset,
       createCustomDiff,
       startCommand,
-      endCommand
+      endCommand,
+      dryRun,
+      conflictStrategy,
+      conflictRules,
+      pathMap,
+      remoteSubDir,
+      subDirs,
+      stepwise,
+      cache,
+      // keep generated snapshots out of the real cache
+      cacheDir: cacheDir || await tmpDir(),
+      autoStash,
+      patchIn,
+      invalidateCache,
+      generatorVersion,
+      snapshots,
+      onProgress
     });
 
-    return await processExit({
+    let error;
+
+    // `processExit` only understands string errors
+    promise = promise.catch(err => {
+      if (err instanceof gitDiffApply.errors.GitDiffApplyError) {
+        error = err;
+        throw err.message;
+      }
+
+      throw err;
+    });
+
+    let obj = await processExit({
       promise,
       cwd: localDir,
-      commitMessage: 'local',
+      commitMessage,
       noGit,
       expect
     });
+
+    return {
+      ...obj,
+      error
+    };
   }
 
   let fixtureCompare = async function fixtureCompare({
@@ -142,7 +192,8 @@ describe(function() {
   it('handles dirty', async function() {
     let {
       status,
-      stderr
+      stderr,
+      error
     } = await merge({
       localFixtures: 'test/fixtures/local/conflict',
       remoteFixtures: 'test/fixtures/remote/conflict',
@@ -153,12 +204,14 @@ describe(function() {
 `);
 
     expect(stderr).to.contain('You must start with a clean working directory');
+    expect(error.code).to.equal('E_DIRTY');
     expect(stderr).to.not.contain('UnhandledPromiseRejectionWarning');
   });
 
   it('doesn\'t resolve conflicts by default', async function() {
     let {
-      status
+      status,
+      result
     } = await merge({
       localFixtures: 'test/fixtures/local/conflict',
       remoteFixtures: 'test/fixtures/remote/conflict'
@@ -168,6 +221,32 @@ describe(function() {
 
     expect(actual).to.contain('<<<<<<< HEAD');
 
+    expect(result.conflicts.map(({ path, type }) => ({ path, type }))).to.deep.equal([
+      { path: 'missing-changed.txt', type: 'modify/delete' },
+      { path: 'present-added-changed.txt', type: 'add/add' },
+      { path: 'present-changed.txt', type: 'content' },
+      { path: 'removed-changed.txt', type: 'modify/delete' }
+    ]);
+
+    let presentChanged = result.conflicts.find(({ path }) => path === 'present-changed.txt');
+    expect(presentChanged.base).to.equal('present-v1\n');
+    expect(presentChanged.ours).to.equal('present-local\n');
+    expect(presentChanged.theirs).to.equal('present-v3\n');
+
+    let missingChanged = result.conflicts.find(({ path }) => path === 'missing-changed.txt');
+    expect(missingChanged.ours).to.be.null;
+
+    expect(result.changes).to.deep.equal({
+      added: [
+        'added-changed.txt',
+        'added-unchanged.txt'
+      ],
+      modified: [],
+      deleted: [
+        'removed-unchanged.txt'
+      ]
+    });
+
     expect(status).to.equal(`A  added-changed.txt
 A  added-unchanged.txt
 DU missing-changed.txt
@@ -178,6 +257,149 @@ D  removed-unchanged.txt
 `);
   });
 
+  describe('conflict strategies', function() {
+    it('resolves all conflicts with a strategy', async function() {
+      let {
+        status,
+        result
+      } = await merge({
+        localFixtures: 'test/fixtures/local/conflict',
+        remoteFixtures: 'test/fixtures/remote/conflict',
+        conflictStrategy: 'theirs'
+      });
+
+      expect(result.conflicts).to.deep.equal([]);
+      expect(result.resolvedConflicts.map(({ path }) => path)).to.deep.equal([
+        'missing-changed.txt',
+        'present-added-changed.txt',
+        'present-changed.txt',
+        'removed-changed.txt'
+      ]);
+
+      let actual = await fs.readFile(path.join(localDir, 'present-changed.txt'), 'utf8');
+
+      expect(actual).to.equal('present-v3\n');
+
+      expect(status).to.equal(`A  added-changed.txt
+A  added-unchanged.txt
+A  missing-changed.txt
+M  present-added-changed.txt
+M  present-changed.txt
+D  removed-changed.txt
+D  removed-unchanged.txt
+`);
+    });
+
+    it('resolves conflicts with rules and reports the rest', async function() {
+      let {
+        status,
+        result
+      } = await merge({
+        localFixtures: 'test/fixtures/local/conflict',
+        remoteFixtures: 'test/fixtures/remote/conflict',
+        conflictStrategy: 'upstream-wins-for-new-files',
+        conflictRules: {
+          'present-changed.*': 'union'
+        }
+      });
+
+      expect(result.resolvedConflicts).to.deep.equal([
+        { path: 'present-added-changed.txt', type: 'add/add', strategy: 'upstream-wins-for-new-files' },
+        { path: 'present-changed.txt', type: 'content', strategy: 'union' }
+      ]);
+      expect(result.conflicts.map(({ path }) => path)).to.deep.equal([
+        'missing-changed.txt',
+        'removed-changed.txt'
+      ]);
+
+      let actual = await fs.readFile(path.join(localDir, 'present-changed.txt'), 'utf8');
+
+      expect(actual).to.equal('present-local\npresent-v3\n');
+
+      expect(status).to.equal(`A  added-changed.txt
+A  added-unchanged.txt
+DU missing-changed.txt
+M  present-added-changed.txt
+M  present-changed.txt
+UD removed-changed.txt
+D  removed-unchanged.txt
+`);
+    });
+
+    it('resolves conflicts in files the shell would expand', async function() {
+      let names = {
+        'present-changed.txt': 'present-$HOME-`echo`.txt',
+        'removed-changed.txt': 'removed-$HOME-`echo`.txt'
+      };
+
+      async function rename(dir) {
+        for (let [from, to] of Object.entries(names)) {
+          if (await fs.pathExists(path.join(dir, from))) {
+            await fs.move(path.join(dir, from), path.join(dir, to));
+          }
+        }
+      }
+
+      async function generate(dir, tag) {
+        await fs.copy(path.join(cwd, 'test/fixtures/remote/conflict', tag), dir);
+        await rename(dir);
+      }
+
+      let {
+        result
+      } = await merge({
+        localFixtures: 'test/fixtures/local/conflict',
+        remoteFixtures: 'test/fixtures/remote/conflict',
+        createCustomDiff: true,
+        startCommand: generate,
+        endCommand: generate,
+        conflictRules: {
+          'present-$*': 'union',
+          'removed-$*': 'theirs'
+        },
+        commitMessage: 'rename',
+        async beforeMerge() {
+          await rename(localDir);
+          await utils.run('git add -A', { cwd: localDir });
+          await utils.run('git commit -q -m rename', { cwd: localDir });
+        }
+      });
+
+      expect(result.resolvedConflicts).to.deep.equal([
+        { path: 'present-$HOME-`echo`.txt', type: 'content', strategy: 'union' },
+        { path: 'removed-$HOME-`echo`.txt', type: 'modify/delete', strategy: 'theirs' }
+      ]);
+
+      let actual = await fs.readFile(path.join(localDir, 'present-$HOME-`echo`.txt'), 'utf8');
+
+      expect(actual).to.equal('present-local\npresent-v3\n');
+      expect(await fs.pathExists(path.join(localDir, 'removed-$HOME-`echo`.txt'))).to.be.false;
+
+      let staged = await utils.run('git diff --cached --name-only -z', { cwd: localDir });
+
+      expect(staged.split('\0')).to.include('present-$HOME-`echo`.txt');
+      expect(staged.split('\0')).to.include('removed-$HOME-`echo`.txt');
+    });
+
+    it('rejects unknown strategies', async function() {
+      let {
+        stderr,
+        error
+      } = await merge({
+        localFixtures: 'test/fixtures/local/conflict',
+        remoteFixtures: 'test/fixtures/remote/conflict',
+        conflictRules: {
+          '*.txt': 'foo'
+        }
+      });
+
+      expect(await isGitClean({ cwd: localDir })).to.be.ok;
+
+      expect(stderr).to.contain('Unknown conflict strategy "foo"');
+      expect(error.code).to.equal('E_INVALID_OPTION');
+    });
+  });
+
   it('ignores files', async function() {
     let {
       status,
@@ -185,7 +407,8 @@ D  removed-unchanged.txt
     } = await merge({
       localFixtures: 'test/fixtures/local/ignored',
       remoteFixtures: 'test/fixtures/remote/ignored',
-      ignoredFiles: ['ignored-changed.txt']
+      ignoredFiles: ['ignored-changed.txt'],
+      snapshots: true
     });
 
     await fixtureCompare({
@@ -195,310 +418,1899 @@ D  removed-unchanged.txt
     expect(status).to.equal(`M  changed.txt
 `);
 
-    expect(result).to.deep.equal(
-      fixturify.readSync(path.join(cwd, 'test/fixtures/ignored'))
-    );
+    let {
+      changeset,
+      ...rest
+    } = result;
+
+    expect(changeset.modified.map(({ path, ignored }) => ({ path, ignored }))).to.deep.equal([
+      { path: 'changed.txt', ignored: false },
+      { path: 'ignored-changed.txt', ignored: true }
+    ]);
+
+    expect(rest).to.deep.equal({
+      ...fixturify.readSync(path.join(cwd, 'test/fixtures/ignored')),
+      startTag: 'v1',
+      endTag: 'v3',
+      conflicts: [],
+      resolvedConflicts: [],
+      changes: {
+        added: [],
+        modified: ['changed.txt'],
+        deleted: []
+      }
+    });
   });
 
-  it('doesn\'t error if no changes', async function() {
-    await merge({
-      localFixtures: 'test/fixtures/local/nochange',
-      remoteFixtures: 'test/fixtures/remote/nochange',
-      ignoredFiles: ['changed.txt']
+  it('ignores files by glob', async function() {
+    let {
+      status,
+      result
+    } = await merge({
+      localFixtures: 'test/fixtures/local/ignored',
+      remoteFixtures: 'test/fixtures/remote/ignored',
+      ignoredFiles: ['*.txt', '!changed.txt'],
+      snapshots: true
     });
 
     await fixtureCompare({
-      mergeFixtures: 'test/fixtures/merge/nochange'
+      mergeFixtures: 'test/fixtures/merge/ignored'
     });
 
-    expect(await isGitClean({ cwd: localDir })).to.be.ok;
-    expect(process.cwd()).to.equal(localDir);
+    expect(status).to.equal(`M  changed.txt
+`);
+
+    expect(result.from).to.deep.equal(
+      fixturify.readSync(path.join(cwd, 'test/fixtures/ignored/from'))
+    );
+    expect(result.to).to.deep.equal(
+      fixturify.readSync(path.join(cwd, 'test/fixtures/ignored/to'))
+    );
   });
 
-  it('does nothing when tags match', async function() {
-    let {
-      stderr
-    } = await merge({
-      localFixtures: 'test/fixtures/local/noconflict',
-      remoteFixtures: 'test/fixtures/remote/noconflict',
-      startTag: 'v3',
-      endTag: 'v3'
+  describe('changeset', function() {
+    it('describes the upstream changes', async function() {
+      let {
+        result
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/changeset',
+        ignoredFiles: ['added.txt'],
+        dryRun: true
+      });
+
+      let { changeset } = result;
+
+      function summarize(files) {
+        // drops the lazy readers
+        return JSON.parse(JSON.stringify(files));
+      }
+
+      expect(summarize(changeset.added)).to.deep.equal([
+        { path: 'added.txt', additions: 1, deletions: 0, binary: false, ignored: true }
+      ]);
+      expect(summarize(changeset.modified)).to.deep.equal([
+        { path: 'binary.png', additions: null, deletions: null, binary: true, ignored: false },
+        { path: 'changed.txt', additions: 1, deletions: 1, binary: false, ignored: false }
+      ]);
+      expect(summarize(changeset.deleted)).to.deep.equal([
+        { path: 'removed.txt', additions: 0, deletions: 1, binary: false, ignored: false }
+      ]);
+      expect(summarize(changeset.renamed)).to.deep.equal([
+        { oldPath: 'renamed.txt', path: 'moved.txt', additions: 0, deletions: 0, binary: false, ignored: false }
+      ]);
+
+      expect(result).to.not.have.property('from');
+      expect(result).to.not.have.property('to');
     });
 
-    expect(await isGitClean({ cwd: localDir })).to.be.ok;
-    expect(process.cwd()).to.equal(localDir);
+    it('loads contents on demand', async function() {
+      let {
+        result
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/changeset',
+        dryRun: true
+      });
 
-    expect(stderr).to.contain('Tags match, nothing to apply');
-    expect(stderr).to.not.contain('UnhandledPromiseRejectionWarning');
+      let { changeset } = result;
+
+      let [added] = changeset.added;
+      let [binary, changed] = changeset.modified;
+
+      expect(await added.from()).to.equal(null);
+      expect(await added.to()).to.deep.equal(Buffer.from('added\n'));
+      expect(await changed.from()).to.deep.equal(Buffer.from('a\nb\n'));
+      expect(await changed.to()).to.deep.equal(Buffer.from('a\nc\n'));
+
+      // left intact, unlike the old string snapshots
+      expect(await binary.to()).to.deep.equal(
+        await fs.readFile(path.join(cwd, 'test/fixtures/remote/changeset/v3/binary.png'))
+      );
+    });
   });
 
-  it('does nothing when not a git repo', async function() {
-    let {
-      stderr
-    } = await merge({
-      localFixtures: 'test/fixtures/local/noconflict',
-      remoteFixtures: 'test/fixtures/remote/noconflict',
-      noGit: true
+  describe('tag resolution', function() {
+    async function mergeSemver(endTag) {
+      return await merge({
+        localFixtures: 'test/fixtures/local/semver',
+        remoteFixtures: 'test/fixtures/remote/semver',
+        startTag: 'v1.0.0',
+        endTag
+      });
+    }
+
+    it('resolves a range', async function() {
+      let {
+        result
+      } = await mergeSemver('^1.0.0');
+
+      expect(result.endTag).to.equal('v1.1.0');
+      expect(await fs.readFile(path.join(localDir, 'changed.txt'), 'utf8')).to.equal('local\nv1.1\n');
     });
 
-    expect(process.cwd()).to.equal(localDir);
+    it('resolves latest', async function() {
+      let {
+        result
+      } = await mergeSemver('latest');
 
-    expect(stderr).to.contain('Not a git repository');
-    expect(stderr).to.not.contain('UnhandledPromiseRejectionWarning');
-  });
+      expect(result.endTag).to.equal('v2.0.0-beta.1');
+      expect(await fs.readFile(path.join(localDir, 'changed.txt'), 'utf8')).to.equal('local\nv2-beta\n');
+    });
 
-  it('does not error when no changes between tags', async function() {
-    let {
-      stderr
-    } = await merge({
-      localFixtures: 'test/fixtures/local/no-change-between-tags',
-      remoteFixtures: 'test/fixtures/remote/no-change-between-tags'
+    it('resolves latest stable', async function() {
+      let {
+        result
+      } = await mergeSemver('latest-stable');
+
+      expect(result.endTag).to.equal('v1.1.0');
     });
 
-    expect(await isGitClean({ cwd: localDir })).to.be.ok;
-    expect(process.cwd()).to.equal(localDir);
+    it('errors when nothing matches', async function() {
+      let {
+        stderr,
+        error
+      } = await mergeSemver('^5.0.0');
 
-    await fixtureCompare({
-      mergeFixtures: 'test/fixtures/merge/no-change-between-tags'
+      expect(await isGitClean({ cwd: localDir })).to.be.ok;
+
+      expect(stderr).to.contain('No tag matching "^5.0.0" found');
+      expect(error.code).to.equal('E_TAG_NOT_FOUND');
     });
 
-    expect(stderr).to.be.undefined;
-  });
+    it('does nothing when resolving to the start tag', async function() {
+      let {
+        stderr
+      } = await mergeSemver('~1.0.0');
 
-  describe('sub dir', function() {
-    let subDir = 'foo/bar';
+      expect(stderr).to.contain('Tags match, nothing to apply');
+    });
+  });
 
-    it('scopes to sub dir if run from there', async function() {
+  describe('stepwise', function() {
+    it('commits each step', async function() {
       let {
-        status
+        status,
+        result
       } = await merge({
-        localFixtures: 'test/fixtures/local/noconflict',
-        remoteFixtures: 'test/fixtures/remote/noconflict',
-        subDir
+        localFixtures: 'test/fixtures/local/stepwise',
+        remoteFixtures: 'test/fixtures/remote/stepwise',
+        stepwise: true,
+        commitMessage: 'Apply upstream changes from v2 to v3'
       });
 
       await fixtureCompare({
-        mergeFixtures: 'test/fixtures/merge/noconflict',
-        subDir
+        mergeFixtures: 'test/fixtures/remote/stepwise/v3'
       });
 
-      expect(status).to.equal(`M  foo/bar/changed.txt
+      expect(status).to.equal('');
+
+      expect(result.steps).to.deep.equal([
+        { startTag: 'v1', endTag: 'v2', status: 'committed' },
+        { startTag: 'v2', endTag: 'v3', status: 'committed' }
+      ]);
+
+      expect(result.changes).to.deep.equal({
+        added: [],
+        modified: ['a.txt', 'b.txt'],
+        deleted: []
+      });
+
+      let log = await utils.run('git log --format=%s', { cwd: localDir });
+
+      expect(log).to.equal(`Apply upstream changes from v2 to v3
+Apply upstream changes from v1 to v2
+local
 `);
     });
 
-    it('handles sub dir with ignored files', async function() {
+    it('stops at the first step with conflicts', async function() {
       let {
         status,
         result
       } = await merge({
-        localFixtures: 'test/fixtures/local/ignored',
-        remoteFixtures: 'test/fixtures/remote/ignored',
-        subDir,
-        ignoredFiles: ['ignored-changed.txt']
+        localFixtures: 'test/fixtures/local/stepwise-conflict',
+        remoteFixtures: 'test/fixtures/remote/stepwise',
+        stepwise: true,
+        commitMessage: 'Apply upstream changes from v1 to v2'
       });
 
-      await fixtureCompare({
-        mergeFixtures: 'test/fixtures/merge/ignored',
-        subDir
-      });
-
-      expect(status).to.equal(`M  foo/bar/changed.txt
+      expect(status).to.equal(`UU b.txt
 `);
 
-      expect(result).to.deep.equal(
-        fixturify.readSync(path.join(cwd, 'test/fixtures/ignored'))
-      );
+      expect(result.steps).to.deep.equal([
+        { startTag: 'v1', endTag: 'v2', status: 'committed' },
+        { startTag: 'v2', endTag: 'v3', status: 'conflicts' }
+      ]);
+
+      expect(result.conflicts.map(({ path }) => path)).to.deep.equal(['b.txt']);
     });
+  });
 
-    it('preserves locally gitignored', async function() {
-      await merge({
+  describe('auto stash', function() {
+    it('stashes and restores local changes', async function() {
+      let {
+        status,
+        result
+      } = await merge({
         localFixtures: 'test/fixtures/local/noconflict',
         remoteFixtures: 'test/fixtures/remote/noconflict',
-        subDir,
-        async beforeMerge() {
-          await Promise.all([
-            fs.ensureFile(path.join(localDir, 'local-and-remote')),
-            fs.ensureFile(path.join(localDir, 'local-only')),
-            fs.ensureFile(path.join(localDir, 'folder/local-and-remote')),
-            fs.ensureFile(path.join(localDir, 'folder/local-only')),
-            fs.copy(
-              path.join(cwd, 'test/fixtures/local/gitignored/local/.gitignore'),
-              path.join(rootDir, '.gitignore')
-            )
-          ]);
-
-          await commit({ m: 'local', cwd: rootDir });
-        }
+        dirty: true,
+        autoStash: true
       });
 
-      await fixtureCompare({
-        mergeFixtures: 'test/fixtures/merge/noconflict',
-        subDir,
-        async beforeCompare({
-          localMergeDir,
-          rootMergeDir
-        }) {
-          await Promise.all([
-            fs.ensureFile(path.join(localMergeDir, 'local-and-remote')),
-            fs.ensureFile(path.join(localMergeDir, 'local-only')),
-            fs.ensureFile(path.join(localMergeDir, 'folder/local-and-remote')),
-            fs.ensureFile(path.join(localMergeDir, 'folder/local-only')),
-            fs.copy(
-              path.join(cwd, 'test/fixtures/local/gitignored/local/.gitignore'),
-              path.join(rootMergeDir, '.gitignore')
-            )
-          ]);
-        }
+      expect(status).to.equal(`M  changed.txt
+?? a-random-new-file
+`);
+
+      expect(result.stash).to.include({
+        restored: true
       });
+      expect(result.stash.conflicts).to.deep.equal([]);
+
+      expect(await utils.run('git stash list', { cwd: localDir })).to.equal('');
     });
 
-    it('resets files to new version + preserves locally gitignored', async function() {
-      await merge({
+    it('reports stash conflicts separately and keeps the stash', async function() {
+      let {
+        result
+      } = await merge({
         localFixtures: 'test/fixtures/local/noconflict',
         remoteFixtures: 'test/fixtures/remote/noconflict',
-        reset: true,
-        subDir,
+        autoStash: true,
         async beforeMerge() {
-          await Promise.all([
-            fs.ensureFile(path.join(localDir, 'local-and-remote')),
-            fs.ensureFile(path.join(localDir, 'local-only')),
-            fs.ensureFile(path.join(localDir, 'folder/local-and-remote')),
-            fs.ensureFile(path.join(localDir, 'folder/local-only')),
-            fs.copy(
+          await fs.writeFile(path.join(localDir, 'changed.txt'), 'mine\n');
+        }
+      });
+
+      expect(result.conflicts).to.deep.equal([]);
+
+      expect(result.stash.restored).to.be.false;
+      expect(result.stash.conflicts.map(({ path }) => path)).to.deep.equal(['changed.txt']);
+
+      let stashes = await utils.run('git stash list --format=%H', { cwd: localDir });
+
+      expect(stashes.trim()).to.equal(result.stash.sha);
+    });
+
+    it('restores the stash when erroring', async function() {
+      let { run } = utils;
+      sandbox.stub(utils, 'run').callsFake(async function(command) {
+        if (command.indexOf('git apply') > -1) {
+          throw 'test apply failed';
+        }
+
+        return await run.apply(this, arguments);
+      });
+
+      let {
+        status,
+        stderr
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/noconflict',
+        dirty: true,
+        autoStash: true
+      });
+
+      expect(stderr).to.contain('test apply failed');
+
+      expect(status).to.equal(`?? a-random-new-file
+`);
+
+      expect(await utils.run('git stash list', { cwd: localDir })).to.equal('');
+    });
+  });
+
+  describe('recovery journal', function() {
+    let journalPath;
+
+    async function setUp() {
+      localDir = await buildTmp({
+        fixturesPath: 'test/fixtures/local/noconflict'
+      });
+      remoteDir = await buildTmp({
+        fixturesPath: 'test/fixtures/remote/noconflict'
+      });
+
+      rootDir = localDir;
+
+      await fs.writeFile(path.join(localDir, '.gitignore'), 'local-only\n');
+      await commit({ m: 'local', cwd: localDir });
+      await fs.writeFile(path.join(localDir, 'local-only'), 'test');
+
+      process.chdir(localDir);
+
+      journalPath = path.join(localDir, '.git/git-diff-apply.json');
+    }
+
+    // simulates the process being killed,
+    // nothing runs after that point, not even the rollback
+    async function interruptAt(prefix, options = {
+      remoteUrl: remoteDir
+    }) {
+      let { run } = utils;
+
+      let isKilled = false;
+
+      sandbox.stub(utils, 'run').callsFake(async function(command) {
+        if (command.startsWith(prefix)) {
+          isKilled = true;
+        }
+
+        if (isKilled) {
+          throw new Error('killed');
+        }
+
+        return await run.apply(this, arguments);
+      });
+
+      let error;
+
+      try {
+        await gitDiffApply({
+          startTag: 'v1',
+          endTag: 'v3',
+          ...options
+        });
+      } catch (err) {
+        error = err;
+      }
+
+      sandbox.restore();
+
+      // the journal is kept for recovery
+      expect(error.code).to.equal('E_CLEANUP_FAILED');
+    }
+
+    async function getBranches() {
+      return (await utils.run('git branch --format="%(refname:short)"', { cwd: localDir })).trim().split(/\r?\n/g);
+    }
+
+    it('aborts an interrupted run', async function() {
+      await setUp();
+
+      await interruptAt('git apply');
+
+      expect(await fs.pathExists(journalPath)).to.be.ok;
+      expect(await getCheckedOutBranchName({ cwd: localDir })).to.not.equal('foo');
+      expect(await fs.pathExists(path.join(localDir, 'local-only'))).to.not.be.ok;
+
+      await gitDiffApply.abort();
+
+      expect(await getCheckedOutBranchName({ cwd: localDir })).to.equal('foo');
+      expect(await getBranches()).to.deep.equal(['foo', 'master']);
+      expect(await isGitClean({ cwd: localDir })).to.be.ok;
+      expect(await fs.readFile(path.join(localDir, 'local-only'), 'utf8')).to.equal('test');
+      expect(await fs.pathExists(journalPath)).to.not.be.ok;
+    });
+
+    it('refuses to run over an interrupted run', async function() {
+      await setUp();
+
+      await interruptAt('git apply');
+
+      let error;
+
+      try {
+        await gitDiffApply({
+          remoteUrl: remoteDir,
+          startTag: 'v1',
+          endTag: 'v3'
+        });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.code).to.equal('E_IN_PROGRESS');
+      expect(await fs.pathExists(journalPath)).to.be.ok;
+    });
+
+    it('continues an interrupted run from the start', async function() {
+      await setUp();
+
+      await interruptAt('git apply');
+
+      let result = await gitDiffApply.continue();
+
+      expect(result.changes).to.deep.equal({
+        added: [],
+        modified: ['changed.txt'],
+        deleted: []
+      });
+
+      expect(await getCheckedOutBranchName({ cwd: localDir })).to.equal('foo');
+      expect(await getBranches()).to.deep.equal(['foo', 'master']);
+      expect(await fs.readFile(path.join(localDir, 'local-only'), 'utf8')).to.equal('test');
+      expect(await fs.pathExists(journalPath)).to.not.be.ok;
+    });
+
+    it('continues an interrupted run during cleanup', async function() {
+      await setUp();
+
+      await interruptAt('git branch -D');
+
+      expect(await fs.pathExists(path.join(localDir, 'local-only'))).to.not.be.ok;
+
+      let result = await gitDiffApply.continue();
+
+      expect(result.changes).to.deep.equal({
+        added: [],
+        modified: ['changed.txt'],
+        deleted: []
+      });
+
+      expect(await getBranches()).to.deep.equal(['foo', 'master']);
+      expect(await fs.readFile(path.join(localDir, 'local-only'), 'utf8')).to.equal('test');
+      expect(await fs.pathExists(journalPath)).to.not.be.ok;
+    });
+
+    it('only aborts a run with custom diff functions', async function() {
+      await setUp();
+
+      async function generate(dir, tag) {
+        await fs.copy(path.join(cwd, `test/fixtures/remote/noconflict/${tag}`), dir);
+      }
+
+      await interruptAt('git apply', {
+        createCustomDiff: true,
+        startCommand: generate,
+        endCommand: generate
+      });
+
+      let error;
+
+      try {
+        await gitDiffApply.continue();
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.code).to.equal('E_NOT_RESUMABLE');
+      expect(await fs.pathExists(journalPath)).to.be.ok;
+
+      await gitDiffApply.abort();
+
+      expect(await getCheckedOutBranchName({ cwd: localDir })).to.equal('foo');
+      expect(await fs.pathExists(journalPath)).to.not.be.ok;
+    });
+
+    it('errors when there is nothing to recover', async function() {
+      await setUp();
+
+      let error;
+
+      try {
+        await gitDiffApply.abort();
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.code).to.equal('E_NO_JOURNAL');
+    });
+  });
+
+  describe('branch and commit', function() {
+    async function setUp(localFixtures, remoteFixtures) {
+      localDir = await buildTmp({
+        fixturesPath: localFixtures
+      });
+      remoteDir = await buildTmp({
+        fixturesPath: remoteFixtures
+      });
+
+      rootDir = localDir;
+
+      process.chdir(localDir);
+    }
+
+    async function getBranches() {
+      return (await utils.run('git branch --format="%(refname:short)"', { cwd: localDir })).trim().split(/\r?\n/g);
+    }
+
+    it('commits onto a new branch', async function() {
+      await setUp('test/fixtures/local/noconflict', 'test/fixtures/remote/noconflict');
+
+      let result = await gitDiffApply({
+        remoteUrl: remoteDir,
+        startTag: 'v1',
+        endTag: 'v3',
+        branch: 'upgrade/{startTag}-{endTag}',
+        commit: true,
+        commitMessage: 'Upgrade from {startTag} to {endTag}\n\n{remoteUrl}'
+      });
+
+      expect(result.branch).to.equal('upgrade/v1-v3');
+      expect(result.commit).to.match(/^[0-9a-f]{40}$/);
+
+      expect(await getCheckedOutBranchName({ cwd: localDir })).to.equal('upgrade/v1-v3');
+      expect(await getBranches()).to.deep.equal(['foo', 'master', 'upgrade/v1-v3']);
+      expect(await isGitClean({ cwd: localDir })).to.be.ok;
+
+      let message = await utils.run('git log -1 --format=%B', { cwd: localDir });
+
+      expect(message.trim()).to.equal(`Upgrade from v1 to v3\n\n${remoteDir}`);
+
+      expect(result.changes).to.deep.equal({
+        added: [],
+        modified: ['changed.txt'],
+        deleted: []
+      });
+
+      await fixtureCompare({
+        mergeFixtures: 'test/fixtures/merge/noconflict'
+      });
+    });
+
+    it('leaves placeholders without a value', async function() {
+      await setUp('test/fixtures/local/noconflict', 'test/fixtures/remote/noconflict');
+
+      async function generate(dir, tag) {
+        await fs.copy(path.join(cwd, 'test/fixtures/remote/noconflict', tag), dir);
+      }
+
+      await gitDiffApply({
+        createCustomDiff: true,
+        startCommand: generate,
+        endCommand: generate,
+        startTag: 'v1',
+        endTag: 'v3',
+        commit: true,
+        commitMessage: 'Upgrade from {remoteUrl}'
+      });
+
+      let message = await utils.run('git log -1 --format=%s', { cwd: localDir });
+
+      expect(message.trim()).to.equal('Upgrade from {remoteUrl}');
+    });
+
+    it('doesn\'t commit conflicts', async function() {
+      await setUp('test/fixtures/local/conflict', 'test/fixtures/remote/conflict');
+
+      let result = await gitDiffApply({
+        remoteUrl: remoteDir,
+        startTag: 'v1',
+        endTag: 'v3',
+        branch: 'upgrade',
+        commit: true
+      });
+
+      expect(result).to.not.have.property('commit');
+      expect(await getCheckedOutBranchName({ cwd: localDir })).to.equal('upgrade');
+
+      let message = await utils.run('git log -1 --format=%s', { cwd: localDir });
+
+      expect(message.trim()).to.equal('local');
+    });
+
+    it('runs hooks and rolls back when they fail', async function() {
+      await setUp('test/fixtures/local/noconflict', 'test/fixtures/remote/noconflict');
+
+      let hook = path.join(localDir, '.git/hooks/pre-commit');
+      await fs.outputFile(hook, '#!/bin/sh\nexit 1\n');
+      await fs.chmod(hook, 0o755);
+
+      let error;
+
+      try {
+        await gitDiffApply({
+          remoteUrl: remoteDir,
+          startTag: 'v1',
+          endTag: 'v3',
+          branch: 'upgrade',
+          commit: true
+        });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.an.instanceof(Error);
+
+      expect(await getCheckedOutBranchName({ cwd: localDir })).to.equal('foo');
+      expect(await getBranches()).to.deep.equal(['foo', 'master']);
+      expect(await isGitClean({ cwd: localDir })).to.be.ok;
+    });
+  });
+
+  describe('mirror cache', function() {
+    let cacheDir;
+
+    beforeEach(async function() {
+      cacheDir = await tmpDir();
+    });
+
+    it('reuses the mirror', async function() {
+      let remote = await buildTmp({
+        fixturesPath: 'test/fixtures/remote/noconflict'
+      });
+      let remoteUrl = `file://${remote}`;
+
+      let {
+        status
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/noconflict',
+        remoteUrl,
+        cacheDir
+      });
+
+      expect(status).to.equal(`M  changed.txt
+`);
+
+      let mirrors = await fs.readdir(path.join(cacheDir, 'mirrors'));
+
+      expect(mirrors).to.have.lengthOf(1);
+
+      // only a fetch can know about this
+      await utils.run('git tag v4 v3', { cwd: remote });
+
+      process.chdir(cwd);
+
+      let {
+        result
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/noconflict',
+        remoteUrl,
+        cacheDir,
+        endTag: 'v4'
+      });
+
+      expect(result.endTag).to.equal('v4');
+
+      expect(await fs.readdir(path.join(cacheDir, 'mirrors'))).to.deep.equal(mirrors);
+    });
+
+    it('can be disabled', async function() {
+      let {
+        status
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/noconflict',
+        cache: false,
+        cacheDir
+      });
+
+      expect(status).to.equal(`M  changed.txt
+`);
+
+      expect(await fs.readdir(cacheDir)).to.deep.equal([]);
+    });
+  });
+
+  describe('patch files', function() {
+    async function savePatch(fixtures) {
+      let patchFile = path.join(await tmpDir(), 'upstream.patch');
+
+      let remote = await buildTmp({
+        fixturesPath: `test/fixtures/remote/${fixtures}`
+      });
+      let local = await buildTmp({
+        fixturesPath: `test/fixtures/local/${fixtures}`
+      });
+
+      process.chdir(local);
+
+      await gitDiffApply({
+        remoteUrl: remote,
+        startTag: 'v1',
+        endTag: 'v3',
+        dryRun: true,
+        patchOut: patchFile
+      });
+
+      process.chdir(cwd);
+
+      return patchFile;
+    }
+
+    it('applies a saved patch without the remote', async function() {
+      let patchFile = await savePatch('conflict');
+
+      let {
+        result
+      } = await merge({
+        localFixtures: 'test/fixtures/local/conflict',
+        remoteFixtures: 'test/fixtures/remote/conflict',
+        remoteUrl: path.join(await tmpDir(), 'missing'),
+        patchIn: patchFile
+      });
+
+      expect(result.startTag).to.equal('v1');
+      expect(result.endTag).to.equal('v3');
+
+      expect(result.conflicts.map(({ path, type }) => ({ path, type }))).to.deep.equal([
+        { path: 'missing-changed.txt', type: 'modify/delete' },
+        { path: 'present-added-changed.txt', type: 'add/add' },
+        { path: 'present-changed.txt', type: 'content' },
+        { path: 'removed-changed.txt', type: 'modify/delete' }
+      ]);
+    });
+
+    it('saves binary changes', async function() {
+      let patchFile = await savePatch('binary');
+
+      await merge({
+        localFixtures: 'test/fixtures/local/binary',
+        remoteFixtures: 'test/fixtures/remote/binary',
+        patchIn: patchFile
+      });
+
+      await fixtureCompare({
+        mergeFixtures: 'test/fixtures/merge/binary'
+      });
+    });
+
+    it('saves text that isn\'t UTF-8', async function() {
+      let patchFile = await savePatch('latin1');
+
+      let {
+        status
+      } = await merge({
+        localFixtures: 'test/fixtures/local/latin1',
+        remoteFixtures: 'test/fixtures/remote/latin1',
+        patchIn: patchFile
+      });
+
+      expect(status).to.equal(`M  latin.txt
+`);
+
+      expect(await fs.readFile(path.join(localDir, 'latin.txt'))).to.deep.equal(
+        await fs.readFile(path.join(cwd, 'test/fixtures/remote/latin1/v3/latin.txt'))
+      );
+    });
+
+    it('rejects patches it didn\'t make', async function() {
+      let patchFile = path.join(await tmpDir(), 'other.patch');
+      await fs.writeFile(patchFile, 'diff --git a/a b/a\n');
+
+      let {
+        error
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/noconflict',
+        patchIn: patchFile
+      });
+
+      expect(error.code).to.equal('E_INVALID_OPTION');
+    });
+  });
+
+  describe('path map', function() {
+    it('maps upstream paths to local paths', async function() {
+      let {
+        status,
+        result
+      } = await merge({
+        localFixtures: 'test/fixtures/local/path-map',
+        remoteFixtures: 'test/fixtures/remote/path-map',
+        pathMap: {
+          app: 'src'
+        },
+        ignoredFiles: ['src/changed.txt'],
+        snapshots: true
+      });
+
+      await fixtureCompare({
+        mergeFixtures: 'test/fixtures/merge/path-map',
+        async beforeCompare({
+          localMergeDir
+        }) {
+          // ignored
+          await fs.writeFile(path.join(localMergeDir, 'src/changed.txt'), 'local\n');
+        }
+      });
+
+      expect(status).to.equal(`A  src/added.txt
+`);
+
+      expect(result.from).to.deep.equal({
+        src: {
+          'changed.txt': 'local\n'
+        }
+      });
+      expect(result.to).to.deep.equal({
+        src: {
+          'changed.txt': 'local\nv3\n'
+        }
+      });
+    });
+
+    it('maps a reset', async function() {
+      let {
+        status
+      } = await merge({
+        localFixtures: 'test/fixtures/local/path-map',
+        remoteFixtures: 'test/fixtures/remote/path-map',
+        pathMap: {
+          app: 'src'
+        },
+        reset: true
+      });
+
+      expect(status).to.equal(` M src/changed.txt
+ D unchanged.txt
+?? src/added.txt
+`);
+    });
+  });
+
+  describe('remote sub dir', function() {
+    it('only applies the remote sub dir', async function() {
+      let {
+        status,
+        result
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/remote-sub-dir',
+        remoteSubDir: 'blueprints/app/files',
+        ignoredFiles: ['added.txt']
+      });
+
+      expect(status).to.equal(`M  changed.txt
+`);
+
+      expect(await fs.readFile(path.join(localDir, 'changed.txt'), 'utf8')).to.equal('local\nv3\n');
+
+      expect(result.changeset.added.map(({ path }) => path)).to.deep.equal(['added.txt']);
+      expect(result.changeset.modified.map(({ path }) => path)).to.deep.equal(['changed.txt']);
+    });
+
+    it('applies to a local sub dir', async function() {
+      let {
+        status
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/remote-sub-dir',
+        remoteSubDir: 'blueprints/app/files/',
+        subDir: 'foo/bar'
+      });
+
+      expect(status).to.equal(`A  foo/bar/added.txt
+M  foo/bar/changed.txt
+`);
+    });
+
+    it('applies the remote sub dir of a large upstream', async function() {
+      remoteDir = await tmpDir();
+      await gitDiffApply.gitInit({ cwd: remoteDir });
+
+      // more than `exec`'s default `maxBuffer` of file listing
+      let dir = path.join(remoteDir, 'a'.repeat(200), 'b'.repeat(200));
+      await fs.ensureDir(dir);
+      for (let i = 0; i < 3000; i++) {
+        await fs.writeFile(path.join(dir, `${i}`), '');
+      }
+
+      for (let tag of ['v1', 'v3']) {
+        await fs.copy(path.join(cwd, 'test/fixtures/remote/remote-sub-dir', tag), remoteDir);
+        await utils.run('git add -A', { cwd: remoteDir });
+        await utils.run(`git commit -q -m ${tag}`, { cwd: remoteDir });
+        await utils.run(`git tag ${tag}`, { cwd: remoteDir });
+      }
+
+      localDir = await buildTmp({
+        fixturesPath: 'test/fixtures/local/noconflict'
+      });
+
+      await gitDiffApply({
+        remoteUrl: remoteDir,
+        startTag: 'v1',
+        endTag: 'v3',
+        remoteSubDir: 'blueprints/app/files',
+        cwd: localDir
+      });
+
+      expect(await fs.readFile(path.join(localDir, 'changed.txt'), 'utf8')).to.equal('local\nv3\n');
+    });
+
+    it('errors when missing', async function() {
+      let {
+        status,
+        error
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/remote-sub-dir',
+        remoteSubDir: 'missing'
+      });
+
+      expect(status).to.equal('');
+      expect(error.code).to.equal('E_INVALID_OPTION');
+      expect(error.message).to.equal('No files found in "missing" at v1');
+    });
+  });
+
+  it('doesn\'t error if no changes', async function() {
+    await merge({
+      localFixtures: 'test/fixtures/local/nochange',
+      remoteFixtures: 'test/fixtures/remote/nochange',
+      ignoredFiles: ['changed.txt']
+    });
+
+    await fixtureCompare({
+      mergeFixtures: 'test/fixtures/merge/nochange'
+    });
+
+    expect(await isGitClean({ cwd: localDir })).to.be.ok;
+    expect(process.cwd()).to.equal(localDir);
+  });
+
+  it('does nothing when tags match', async function() {
+    let {
+      stderr,
+      error
+    } = await merge({
+      localFixtures: 'test/fixtures/local/noconflict',
+      remoteFixtures: 'test/fixtures/remote/noconflict',
+      startTag: 'v3',
+      endTag: 'v3'
+    });
+
+    expect(await isGitClean({ cwd: localDir })).to.be.ok;
+    expect(process.cwd()).to.equal(localDir);
+
+    expect(stderr).to.contain('Tags match, nothing to apply');
+    expect(stderr).to.not.contain('UnhandledPromiseRejectionWarning');
+    expect(error.code).to.equal('E_TAGS_MATCH');
+  });
+
+  it('does nothing when not a git repo', async function() {
+    let {
+      stderr,
+      error
+    } = await merge({
+      localFixtures: 'test/fixtures/local/noconflict',
+      remoteFixtures: 'test/fixtures/remote/noconflict',
+      noGit: true
+    });
+
+    expect(process.cwd()).to.equal(localDir);
+
+    expect(stderr).to.contain('Not a git repository');
+    expect(error.code).to.equal('E_NOT_GIT_REPO');
+    expect(stderr).to.not.contain('UnhandledPromiseRejectionWarning');
+  });
+
+  it('does not error when no changes between tags', async function() {
+    let {
+      stderr
+    } = await merge({
+      localFixtures: 'test/fixtures/local/no-change-between-tags',
+      remoteFixtures: 'test/fixtures/remote/no-change-between-tags'
+    });
+
+    expect(await isGitClean({ cwd: localDir })).to.be.ok;
+    expect(process.cwd()).to.equal(localDir);
+
+    await fixtureCompare({
+      mergeFixtures: 'test/fixtures/merge/no-change-between-tags'
+    });
+
+    expect(stderr).to.be.undefined;
+  });
+
+  describe('dry run', function() {
+    it('previews no conflicts', async function() {
+      let {
+        status,
+        result
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/noconflict',
+        dryRun: true
+      });
+
+      expect(status).to.equal('');
+      expect(await getCheckedOutBranchName({ cwd: localDir })).to.equal('foo');
+
+      expect(result.dryRun).to.deep.equal({
+        clean: ['changed.txt'],
+        conflicted: [],
+        added: [],
+        deleted: []
+      });
+    });
+
+    it('previews conflicts', async function() {
+      let {
+        status,
+        result
+      } = await merge({
+        localFixtures: 'test/fixtures/local/conflict',
+        remoteFixtures: 'test/fixtures/remote/conflict',
+        dryRun: true
+      });
+
+      expect(status).to.equal('');
+
+      expect(result.dryRun).to.deep.equal({
+        clean: [],
+        conflicted: [
+          'missing-changed.txt',
+          'present-added-changed.txt',
+          'present-changed.txt',
+          'removed-changed.txt'
+        ],
+        added: [
+          'added-changed.txt',
+          'added-unchanged.txt'
+        ],
+        deleted: [
+          'removed-unchanged.txt'
+        ]
+      });
+    });
+
+    it('previews from sub dir', async function() {
+      let {
+        status,
+        result
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/noconflict',
+        subDir: 'foo/bar',
+        dryRun: true
+      });
+
+      expect(status).to.equal('');
+
+      expect(result.dryRun).to.deep.equal({
+        clean: ['changed.txt'],
+        conflicted: [],
+        added: [],
+        deleted: []
+      });
+    });
+
+    it('previews large files that merge cleanly', async function() {
+      let lines = Array.from({ length: 100000 }, (_, i) => `line ${i}`);
+
+      remoteDir = await tmpDir();
+      await gitDiffApply.gitInit({ cwd: remoteDir });
+      await fs.writeFile(path.join(remoteDir, 'large.txt'), `${lines.join('\n')}\n`);
+      await commit({ tag: 'v1', cwd: remoteDir });
+      await fs.writeFile(path.join(remoteDir, 'large.txt'), `${[...lines, 'v3'].join('\n')}\n`);
+      await commit({ tag: 'v3', cwd: remoteDir });
+
+      localDir = await tmpDir();
+      await gitDiffApply.gitInit({ cwd: localDir });
+      await fs.writeFile(path.join(localDir, 'large.txt'), `${['local', ...lines.slice(1)].join('\n')}\n`);
+      await commit({ cwd: localDir });
+
+      let result = await gitDiffApply({
+        remoteUrl: remoteDir,
+        startTag: 'v1',
+        endTag: 'v3',
+        dryRun: true,
+        cwd: localDir
+      });
+
+      expect(result.dryRun.clean).to.deep.equal(['large.txt']);
+      expect(result.dryRun.conflicted).to.deep.equal([]);
+    });
+
+    it('previews repos with many files', async function() {
+      remoteDir = await buildTmp({
+        fixturesPath: 'test/fixtures/remote/noconflict'
+      });
+
+      localDir = await buildTmp({
+        fixturesPath: 'test/fixtures/local/noconflict'
+      });
+
+      // more than `exec`'s default `maxBuffer` of file listing
+      let dir = path.join(localDir, 'a'.repeat(200), 'b'.repeat(200));
+      await fs.ensureDir(dir);
+      for (let i = 0; i < 3000; i++) {
+        await fs.writeFile(path.join(dir, `${i}`), '');
+      }
+      await utils.run('git add -A', { cwd: localDir });
+      await utils.run('git commit -q -m many', { cwd: localDir });
+
+      let result = await gitDiffApply({
+        remoteUrl: remoteDir,
+        startTag: 'v1',
+        endTag: 'v3',
+        dryRun: true,
+        cwd: localDir
+      });
+
+      expect(result.dryRun.clean).to.deep.equal(['changed.txt']);
+    });
+
+    it('previews a reset', async function() {
+      let {
+        status,
+        result
+      } = await merge({
+        localFixtures: 'test/fixtures/local/reset',
+        remoteFixtures: 'test/fixtures/remote/reset',
+        reset: true,
+        ignoredFiles: ['ignored-changed.txt'],
+        dryRun: true
+      });
+
+      expect(status).to.equal('');
+
+      expect(result.dryRun).to.deep.equal({
+        clean: ['changed.txt'],
+        conflicted: [],
+        added: [],
+        deleted: []
+      });
+    });
+  });
+
+  describe('sub dir', function() {
+    let subDir = 'foo/bar';
+
+    it('scopes to sub dir if run from there', async function() {
+      let {
+        status
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/noconflict',
+        subDir
+      });
+
+      await fixtureCompare({
+        mergeFixtures: 'test/fixtures/merge/noconflict',
+        subDir
+      });
+
+      expect(status).to.equal(`M  foo/bar/changed.txt
+`);
+    });
+
+    it('handles sub dir with ignored files', async function() {
+      let {
+        status,
+        result
+      } = await merge({
+        localFixtures: 'test/fixtures/local/ignored',
+        remoteFixtures: 'test/fixtures/remote/ignored',
+        subDir,
+        ignoredFiles: ['ignored-changed.txt'],
+        snapshots: true
+      });
+
+      await fixtureCompare({
+        mergeFixtures: 'test/fixtures/merge/ignored',
+        subDir
+      });
+
+      expect(status).to.equal(`M  foo/bar/changed.txt
+`);
+
+      let {
+        changeset,
+        ...rest
+      } = result;
+
+      // upstream paths, before being namespaced
+      expect(changeset.modified.map(({ path }) => path)).to.deep.equal([
+        'changed.txt',
+        'ignored-changed.txt'
+      ]);
+
+      expect(rest).to.deep.equal({
+        ...fixturify.readSync(path.join(cwd, 'test/fixtures/ignored')),
+        startTag: 'v1',
+        endTag: 'v3',
+        conflicts: [],
+        resolvedConflicts: [],
+        changes: {
+          added: [],
+          modified: ['changed.txt'],
+          deleted: []
+        }
+      });
+    });
+
+    it('preserves locally gitignored', async function() {
+      await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/noconflict',
+        subDir,
+        async beforeMerge() {
+          await Promise.all([
+            fs.ensureFile(path.join(localDir, 'local-and-remote')),
+            fs.ensureFile(path.join(localDir, 'local-only')),
+            fs.ensureFile(path.join(localDir, 'folder/local-and-remote')),
+            fs.ensureFile(path.join(localDir, 'folder/local-only')),
+            fs.copy(
+              path.join(cwd, 'test/fixtures/local/gitignored/local/.gitignore'),
+              path.join(rootDir, '.gitignore')
+            )
+          ]);
+
+          await commit({ m: 'local', cwd: rootDir });
+        }
+      });
+
+      await fixtureCompare({
+        mergeFixtures: 'test/fixtures/merge/noconflict',
+        subDir,
+        async beforeCompare({
+          localMergeDir,
+          rootMergeDir
+        }) {
+          await Promise.all([
+            fs.ensureFile(path.join(localMergeDir, 'local-and-remote')),
+            fs.ensureFile(path.join(localMergeDir, 'local-only')),
+            fs.ensureFile(path.join(localMergeDir, 'folder/local-and-remote')),
+            fs.ensureFile(path.join(localMergeDir, 'folder/local-only')),
+            fs.copy(
+              path.join(cwd, 'test/fixtures/local/gitignored/local/.gitignore'),
+              path.join(rootMergeDir, '.gitignore')
+            )
+          ]);
+        }
+      });
+    });
+
+    it('resets files to new version + preserves locally gitignored', async function() {
+      await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/noconflict',
+        reset: true,
+        subDir,
+        async beforeMerge() {
+          await Promise.all([
+            fs.ensureFile(path.join(localDir, 'local-and-remote')),
+            fs.ensureFile(path.join(localDir, 'local-only')),
+            fs.ensureFile(path.join(localDir, 'folder/local-and-remote')),
+            fs.ensureFile(path.join(localDir, 'folder/local-only')),
+            fs.copy(
               path.join(cwd, 'test/fixtures/local/gitignored/local/.gitignore'),
               path.join(rootDir, '.gitignore')
             )
           ]);
 
-          await commit({ m: 'local', cwd: rootDir });
-        }
+          await commit({ m: 'local', cwd: rootDir });
+        }
+      });
+
+      await fixtureCompare({
+        mergeFixtures: 'test/fixtures/remote/noconflict/v3',
+        subDir,
+        async beforeCompare({
+          localMergeDir
+        }) {
+          await Promise.all([
+            fs.ensureFile(path.join(localMergeDir, 'local-and-remote')),
+            fs.ensureFile(path.join(localMergeDir, 'local-only')),
+            fs.ensureFile(path.join(localMergeDir, 'folder/local-and-remote')),
+            fs.ensureFile(path.join(localMergeDir, 'folder/local-only'))
+          ]);
+        }
+      });
+    });
+  });
+
+  describe('error recovery', function() {
+    it('deletes temporary branch when error', async function() {
+      let { copy } = utils;
+      sandbox.stub(utils, 'copy').callsFake(async function() {
+        if (arguments[1] !== localDir) {
+          return await copy.apply(this, arguments);
+        }
+
+        expect(await isGitClean({ cwd: localDir })).to.be.ok;
+        expect(await getCheckedOutBranchName({ cwd: localDir })).to.not.equal('foo');
+
+        throw 'test copy failed';
+      });
+
+      let {
+        stderr
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/noconflict'
+      });
+
+      expect(await isGitClean({ cwd: localDir })).to.be.ok;
+      expect(await getCheckedOutBranchName({ cwd: localDir })).to.equal('foo');
+      expect(process.cwd()).to.equal(localDir);
+
+      expect(stderr).to.contain('test copy failed');
+    });
+
+    it('reverts temporary files after copy when error', async function() {
+      let { copy } = utils;
+      sandbox.stub(utils, 'copy').callsFake(async function() {
+        await copy.apply(this, arguments);
+
+        if (arguments[1] !== localDir) {
+          return;
+        }
+
+        expect(await isGitClean({ cwd: localDir })).to.not.be.ok;
+        expect(await getCheckedOutBranchName({ cwd: localDir })).to.not.equal('foo');
+
+        throw 'test copy failed';
+      });
+
+      let {
+        stderr
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/noconflict'
+      });
+
+      expect(await isGitClean({ cwd: localDir })).to.be.ok;
+      expect(await getCheckedOutBranchName({ cwd: localDir })).to.equal('foo');
+      expect(process.cwd()).to.equal(localDir);
+
+      expect(stderr).to.contain('test copy failed');
+    });
+
+    it('reverts temporary files after apply when error', async function() {
+      let { run } = utils;
+      sandbox.stub(utils, 'run').callsFake(async function(command) {
+        let result = await run.apply(this, arguments);
+
+        if (command.indexOf('git apply') > -1) {
+          expect(await isGitClean({ cwd: localDir })).to.not.be.ok;
+          expect(await getCheckedOutBranchName({ cwd: localDir })).to.not.equal('foo');
+
+          throw 'test apply failed';
+        }
+
+        return result;
+      });
+
+      let {
+        stderr
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/noconflict'
+      });
+
+      expect(await isGitClean({ cwd: localDir })).to.be.ok;
+      expect(await getCheckedOutBranchName({ cwd: localDir })).to.equal('foo');
+      expect(process.cwd()).to.equal(localDir);
+
+      expect(stderr).to.contain('test apply failed');
+    });
+
+    it('preserves cwd when erroring during the orphan step', async function() {
+      let { run } = utils;
+      sandbox.stub(utils, 'run').callsFake(async function(command) {
+        if (command.indexOf('git checkout --orphan') > -1) {
+          throw 'test orphan failed';
+        }
+
+        return await run.apply(this, arguments);
+      });
+
+      let {
+        stderr
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/noconflict'
+      });
+
+      expect(await isGitClean({ cwd: localDir })).to.be.ok;
+      expect(await getCheckedOutBranchName({ cwd: localDir })).to.equal('foo');
+      expect(process.cwd()).to.equal(localDir);
+
+      expect(stderr).to.contain('test orphan failed');
+    });
+
+    it('reports cleanup failures', async function() {
+      let { run } = utils;
+      sandbox.stub(utils, 'run').callsFake(async function(command) {
+        let result = await run.apply(this, arguments);
+
+        if (command.startsWith('git branch -D')) {
+          throw 'test cleanup failed';
+        }
+
+        return result;
+      });
+
+      let {
+        stderr,
+        error
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/noconflict'
+      });
+
+      expect(stderr).to.contain('Failed to restore your repository');
+      expect(error.code).to.equal('E_CLEANUP_FAILED');
+      expect(error.cause).to.equal('test cleanup failed');
+      expect(error).to.not.have.property('originalError');
+    });
+
+    it('reports clone failures', async function() {
+      let {
+        stderr,
+        error
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/noconflict',
+        remoteUrl: path.join(await tmpDir(), 'missing'),
+        cache: false
+      });
+
+      expect(await isGitClean({ cwd: localDir })).to.be.ok;
+
+      expect(stderr).to.contain('Could not clone');
+      expect(error.code).to.equal('E_CLONE_FAILED');
+      expect(error.cause).to.be.an.instanceof(Error);
+    });
+
+    it('leaves signal handling to the caller', async function() {
+      let listeners = process.listeners('SIGINT');
+
+      let { run } = utils;
+      sandbox.stub(utils, 'run').callsFake(async function(command) {
+        if (command.indexOf('git apply') > -1) {
+          expect(process.listeners('SIGINT')).to.deep.equal(listeners);
+        }
+
+        return await run.apply(this, arguments);
+      });
+
+      let {
+        status
+      } = await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/noconflict'
+      });
+
+      expect(status).to.equal(`M  changed.txt
+`);
+
+      expect(process.listeners('SIGINT')).to.deep.equal(listeners);
+    });
+  });
+
+  describe('abort signal', function() {
+    async function setUp(fixtures = 'noconflict') {
+      localDir = await buildTmp({
+        fixturesPath: `test/fixtures/local/${fixtures}`
+      });
+      remoteDir = await buildTmp({
+        fixturesPath: `test/fixtures/remote/${fixtures}`
+      });
+
+      process.chdir(localDir);
+    }
+
+    it('rolls back when aborted', async function() {
+      await setUp();
+
+      let controller = new AbortController();
+
+      let { run } = utils;
+      sandbox.stub(utils, 'run').callsFake(async function(command) {
+        let result = await run.apply(this, arguments);
+
+        if (command.indexOf('git apply') > -1) {
+          controller.abort();
+        }
+
+        return result;
+      });
+
+      let error;
+
+      try {
+        await gitDiffApply({
+          remoteUrl: remoteDir,
+          startTag: 'v1',
+          endTag: 'v3',
+          signal: controller.signal
+        });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.code).to.equal('E_ABORTED');
+
+      expect(await isGitClean({ cwd: localDir })).to.be.ok;
+      expect(await getCheckedOutBranchName({ cwd: localDir })).to.equal('foo');
+    });
+
+    it('rolls back conflicts when aborted', async function() {
+      await setUp('conflict');
+
+      let controller = new AbortController();
+
+      let error;
+
+      try {
+        await gitDiffApply({
+          remoteUrl: remoteDir,
+          startTag: 'v1',
+          endTag: 'v3',
+          signal: controller.signal,
+          onProgress({ event }) {
+            if (event === 'conflicts') {
+              controller.abort();
+            }
+          }
+        });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.code).to.equal('E_ABORTED');
+
+      expect(await isGitClean({ cwd: localDir })).to.be.ok;
+      expect(await getCheckedOutBranchName({ cwd: localDir })).to.equal('foo');
+    });
+
+    it('leaves git commands attached to the terminal', async function() {
+      await setUp();
+
+      let controller = new AbortController();
+
+      let commands = [];
+
+      let { run } = utils;
+      sandbox.stub(utils, 'run').callsFake(async function(command, options) {
+        // a signal makes `run` detach it from the terminal,
+        // where git asks for credentials
+        if (options && options.signal) {
+          commands.push(command);
+        }
+
+        return await run.apply(this, arguments);
+      });
+
+      await gitDiffApply({
+        remoteUrl: remoteDir,
+        startTag: 'v1',
+        endTag: 'v3',
+        signal: controller.signal
+      });
+
+      expect(commands).to.deep.equal([]);
+    });
+
+    it('kills in-flight commands', async function() {
+      await setUp();
+
+      let controller = new AbortController();
+
+      let promise = gitDiffApply({
+        createCustomDiff: true,
+        startCommand: 'sleep 30',
+        endCommand: 'true',
+        cacheDir: await tmpDir(),
+        startTag: 'v1',
+        endTag: 'v3',
+        signal: controller.signal
+      });
+
+      setTimeout(() => controller.abort(), 500);
+
+      let error;
+
+      try {
+        await promise;
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.code).to.equal('E_ABORTED');
+      expect(error.cause.code).to.equal('E_COMMAND_FAILED');
+      expect(error.cause.cause.killed).to.be.ok;
+
+      expect(await isGitClean({ cwd: localDir })).to.be.ok;
+    });
+
+    it('doesn\'t start when already aborted', async function() {
+      await setUp();
+
+      let controller = new AbortController();
+      controller.abort();
+
+      let error;
+
+      try {
+        await gitDiffApply({
+          remoteUrl: remoteDir,
+          startTag: 'v1',
+          endTag: 'v3',
+          signal: controller.signal
+        });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.code).to.equal('E_ABORTED');
+    });
+  });
+
+  describe('sub dirs', function() {
+    async function mergeSubDirs(options) {
+      return await merge({
+        localFixtures: 'test/fixtures/local/sub-dirs',
+        remoteFixtures: 'test/fixtures/remote/noconflict',
+        subDirs: ['packages/*'],
+        ...options
+      });
+    }
+
+    it('applies to each sub dir', async function() {
+      let {
+        result
+      } = await mergeSubDirs();
+
+      expect(await fs.readFile(path.join(localDir, 'packages/a/changed.txt'), 'utf8')).to.equal('local\nv3\n');
+      expect(await fs.readFile(path.join(localDir, 'packages/b/changed.txt'), 'utf8')).to.contain('<<<<<<< HEAD');
+      expect(await fs.readFile(path.join(localDir, 'other/changed.txt'), 'utf8')).to.equal('local\n');
+
+      expect(result.conflicts.map(({ path }) => path)).to.deep.equal(['packages/b/changed.txt']);
+      expect(result.changes).to.deep.equal({
+        added: [],
+        modified: ['packages/a/changed.txt'],
+        deleted: []
+      });
+
+      expect(result.subDirs.map(({ subDir, conflicts, changes }) => ({
+        subDir,
+        conflicts: conflicts.map(({ path }) => path),
+        changes
+      }))).to.deep.equal([
+        {
+          subDir: 'packages/a',
+          conflicts: [],
+          changes: {
+            added: [],
+            modified: ['changed.txt'],
+            deleted: []
+          }
+        },
+        {
+          subDir: 'packages/b',
+          conflicts: ['changed.txt'],
+          changes: {
+            added: [],
+            modified: [],
+            deleted: []
+          }
+        }
+      ]);
+    });
+
+    it('previews each sub dir', async function() {
+      let {
+        status,
+        result
+      } = await mergeSubDirs({
+        dryRun: true
+      });
+
+      expect(status).to.equal('');
+
+      expect(result.dryRun).to.deep.equal({
+        clean: ['packages/a/changed.txt'],
+        conflicted: ['packages/b/changed.txt'],
+        added: [],
+        deleted: []
       });
 
-      await fixtureCompare({
-        mergeFixtures: 'test/fixtures/remote/noconflict/v3',
+      expect(result.subDirs.map(({ subDir, dryRun }) => ({
         subDir,
-        async beforeCompare({
-          localMergeDir
-        }) {
-          await Promise.all([
-            fs.ensureFile(path.join(localMergeDir, 'local-and-remote')),
-            fs.ensureFile(path.join(localMergeDir, 'local-only')),
-            fs.ensureFile(path.join(localMergeDir, 'folder/local-and-remote')),
-            fs.ensureFile(path.join(localMergeDir, 'folder/local-only'))
-          ]);
+        clean: dryRun.clean,
+        conflicted: dryRun.conflicted
+      }))).to.deep.equal([
+        {
+          subDir: 'packages/a',
+          clean: ['changed.txt'],
+          conflicted: []
+        },
+        {
+          subDir: 'packages/b',
+          clean: [],
+          conflicted: ['changed.txt']
         }
-      });
+      ]);
     });
-  });
 
-  describe('error recovery', function() {
-    it('deletes temporary branch when error', async function() {
-      let { copy } = utils;
-      sandbox.stub(utils, 'copy').callsFake(async function() {
-        if (arguments[1] !== localDir) {
-          return await copy.apply(this, arguments);
-        }
+    it('finds sub dirs in repos with many files', async function() {
+      remoteDir = await buildTmp({
+        fixturesPath: 'test/fixtures/remote/noconflict'
+      });
 
-        expect(await isGitClean({ cwd: localDir })).to.be.ok;
-        expect(await getCheckedOutBranchName({ cwd: localDir })).to.not.equal('foo');
+      localDir = await buildTmp({
+        fixturesPath: 'test/fixtures/local/sub-dirs'
+      });
 
-        throw 'test copy failed';
+      // more than `exec`'s default `maxBuffer` of file listing
+      let dir = path.join(localDir, 'other', 'a'.repeat(200), 'b'.repeat(200));
+      await fs.ensureDir(dir);
+      for (let i = 0; i < 3000; i++) {
+        await fs.writeFile(path.join(dir, `${i}`), '');
+      }
+      await utils.run('git add -A', { cwd: localDir });
+      await utils.run('git commit -q -m many', { cwd: localDir });
+
+      let result = await gitDiffApply({
+        remoteUrl: remoteDir,
+        startTag: 'v1',
+        endTag: 'v3',
+        subDirs: ['packages/*'],
+        dryRun: true,
+        cwd: localDir
       });
 
+      expect(result.subDirs.map(({ subDir }) => subDir)).to.deep.equal([
+        'packages/a',
+        'packages/b'
+      ]);
+    });
+
+    it('errors when nothing matches', async function() {
       let {
-        stderr
-      } = await merge({
-        localFixtures: 'test/fixtures/local/noconflict',
-        remoteFixtures: 'test/fixtures/remote/noconflict'
+        status,
+        error
+      } = await mergeSubDirs({
+        subDirs: ['missing/*']
       });
 
-      expect(await isGitClean({ cwd: localDir })).to.be.ok;
-      expect(await getCheckedOutBranchName({ cwd: localDir })).to.equal('foo');
-      expect(process.cwd()).to.equal(localDir);
+      expect(status).to.equal('');
+      expect(error.code).to.equal('E_INVALID_OPTION');
+      expect(error.message).to.equal('No directories match "missing/*"');
+    });
 
-      expect(stderr).to.contain('test copy failed');
+    it('errors when sub dirs overlap', async function() {
+      let {
+        error
+      } = await mergeSubDirs({
+        subDirs: ['packages', 'packages/a']
+      });
+
+      expect(error.code).to.equal('E_INVALID_OPTION');
+      expect(error.message).to.equal('subDirs "packages" and "packages/a" overlap');
     });
+  });
 
-    it('reverts temporary files after copy when error', async function() {
-      let { copy } = utils;
-      sandbox.stub(utils, 'copy').callsFake(async function() {
-        await copy.apply(this, arguments);
+  describe('cwd', function() {
+    it('applies to other directories concurrently', async function() {
+      let localDirs = [
+        await buildTmp({
+          fixturesPath: 'test/fixtures/local/noconflict'
+        }),
+        await buildTmp({
+          fixturesPath: 'test/fixtures/local/noconflict',
+          subDir: 'foo/bar'
+        })
+      ];
+      remoteDir = await buildTmp({
+        fixturesPath: 'test/fixtures/remote/noconflict'
+      });
 
-        if (arguments[1] !== localDir) {
-          return;
-        }
+      // nothing should happen in the current directory
+      process.chdir(await tmpDir());
 
-        expect(await isGitClean({ cwd: localDir })).to.not.be.ok;
-        expect(await getCheckedOutBranchName({ cwd: localDir })).to.not.equal('foo');
+      await Promise.all(localDirs.map(localDir => gitDiffApply({
+        remoteUrl: remoteDir,
+        startTag: 'v1',
+        endTag: 'v3',
+        cwd: localDir
+      })));
 
-        throw 'test copy failed';
-      });
+      let expected = await fs.readFile(path.join(cwd, 'test/fixtures/merge/noconflict/changed.txt'), 'utf8');
 
-      let {
-        stderr
-      } = await merge({
-        localFixtures: 'test/fixtures/local/noconflict',
-        remoteFixtures: 'test/fixtures/remote/noconflict'
+      for (let localDir of localDirs) {
+        expect(await fs.readFile(path.join(localDir, 'changed.txt'), 'utf8')).to.equal(expected);
+        expect(await utils.run('git diff --cached --name-only --relative', { cwd: localDir })).to.equal('changed.txt\n');
+      }
+    });
+
+    it('previews another directory', async function() {
+      localDir = await buildTmp({
+        fixturesPath: 'test/fixtures/local/conflict'
+      });
+      remoteDir = await buildTmp({
+        fixturesPath: 'test/fixtures/remote/conflict'
       });
 
-      expect(await isGitClean({ cwd: localDir })).to.be.ok;
-      expect(await getCheckedOutBranchName({ cwd: localDir })).to.equal('foo');
-      expect(process.cwd()).to.equal(localDir);
+      process.chdir(await tmpDir());
 
-      expect(stderr).to.contain('test copy failed');
-    });
+      let result = await gitDiffApply({
+        remoteUrl: remoteDir,
+        startTag: 'v1',
+        endTag: 'v3',
+        dryRun: true,
+        cwd: localDir
+      });
 
-    it('reverts temporary files after apply when error', async function() {
-      let { run } = utils;
-      sandbox.stub(utils, 'run').callsFake(async function(command) {
-        let result = await run.apply(this, arguments);
+      expect(result.dryRun.conflicted).to.include('present-changed.txt');
+    });
+  });
 
-        if (command.indexOf('git apply') > -1) {
-          expect(await isGitClean({ cwd: localDir })).to.not.be.ok;
-          expect(await getCheckedOutBranchName({ cwd: localDir })).to.not.equal('foo');
+  describe('progress events', function() {
+    async function mergeWithProgress(options) {
+      let events = [];
 
-          throw 'test apply failed';
+      let obj = await merge({
+        ...options,
+        onProgress(details) {
+          events.push(details);
         }
-
-        return result;
       });
 
+      return {
+        ...obj,
+        events
+      };
+    }
+
+    it('reports each step', async function() {
       let {
-        stderr
-      } = await merge({
+        events
+      } = await mergeWithProgress({
         localFixtures: 'test/fixtures/local/noconflict',
         remoteFixtures: 'test/fixtures/remote/noconflict'
       });
 
-      expect(await isGitClean({ cwd: localDir })).to.be.ok;
-      expect(await getCheckedOutBranchName({ cwd: localDir })).to.equal('foo');
-      expect(process.cwd()).to.equal(localDir);
-
-      expect(stderr).to.contain('test apply failed');
+      expect(events).to.deep.equal([
+        { event: 'cloning', remoteUrl: remoteDir },
+        { event: 'building-changeset', startTag: 'v1', endTag: 'v3' },
+        { event: 'checking-out', tag: 'v1' },
+        { event: 'applying', startTag: 'v1', endTag: 'v3' },
+        { event: 'cherry-picking' },
+        { event: 'cleanup' }
+      ]);
     });
 
-    it('preserves cwd when erroring during the orphan step', async function() {
-      let { run } = utils;
-      sandbox.stub(utils, 'run').callsFake(async function(command) {
-        if (command.indexOf('git checkout --orphan') > -1) {
-          throw 'test orphan failed';
-        }
-
-        return await run.apply(this, arguments);
+    it('reports conflicts', async function() {
+      let {
+        events
+      } = await mergeWithProgress({
+        localFixtures: 'test/fixtures/local/conflict',
+        remoteFixtures: 'test/fixtures/remote/conflict'
       });
 
+      expect(events.map(({ event }) => event)).to.include('conflicts');
+
+      let { conflicts } = events.find(({ event }) => event === 'conflicts');
+
+      expect(conflicts).to.include('present-changed.txt');
+    });
+
+    it('reports rolling back', async function() {
       let {
-        stderr
-      } = await merge({
+        events
+      } = await mergeWithProgress({
         localFixtures: 'test/fixtures/local/noconflict',
-        remoteFixtures: 'test/fixtures/remote/noconflict'
+        remoteFixtures: 'test/fixtures/remote/noconflict',
+        endTag: 'v4'
       });
 
-      expect(await isGitClean({ cwd: localDir })).to.be.ok;
-      expect(await getCheckedOutBranchName({ cwd: localDir })).to.equal('foo');
-      expect(process.cwd()).to.equal(localDir);
-
-      expect(stderr).to.contain('test orphan failed');
+      expect(events.map(({ event }) => event)).to.deep.equal([
+        'cloning',
+        'rolling-back',
+        'cleanup'
+      ]);
     });
   });
 
@@ -521,6 +2333,44 @@ D  removed-unchanged.txt
 `);
     });
 
+    it('keeps ignored files the shell would expand', async function() {
+      let name = 'ignored-$HOME-`echo`.txt';
+
+      async function rename(dir) {
+        await fs.move(path.join(dir, 'ignored-changed.txt'), path.join(dir, name));
+      }
+
+      async function generate(dir, tag) {
+        await fs.copy(path.join(cwd, 'test/fixtures/remote/reset', tag), dir);
+        await rename(dir);
+      }
+
+      let {
+        status
+      } = await merge({
+        localFixtures: 'test/fixtures/local/reset',
+        remoteFixtures: 'test/fixtures/remote/reset',
+        reset: true,
+        ignoredFiles: ['ignored-*'],
+        createCustomDiff: true,
+        startCommand: generate,
+        endCommand: generate,
+        commitMessage: 'rename',
+        async beforeMerge() {
+          await rename(localDir);
+          await utils.run('git add -A', { cwd: localDir });
+          await utils.run('git commit -q -m rename', { cwd: localDir });
+        }
+      });
+
+      let actual = await fs.readFile(path.join(localDir, name), 'utf8');
+
+      expect(actual).to.equal('changed\n');
+
+      expect(status).to.equal(` M changed.txt
+`);
+    });
+
     it('resets using a create diff', async function() {
       let cpr = path.resolve(path.dirname(require.resolve('cpr')), '../bin/cpr');
       let remoteFixtures = 'test/fixtures/remote/reset';
@@ -697,6 +2547,212 @@ D  removed-unchanged.txt
 `);
   });
 
+  it('can use placeholders in a custom diff', async function() {
+    let command = 'node -e "require(\'fs\').writeFileSync(\'tag.txt\', [process.env.GIT_DIFF_APPLY_TAG, \'{tag}\', \'{projectName}\', \'{cwd}\'].join(\'\\n\'))"';
+
+    let {
+      result
+    } = await merge({
+      localFixtures: 'test/fixtures/local/noconflict',
+      remoteFixtures: 'test/fixtures/remote/noconflict',
+      remoteUrl: null,
+      createCustomDiff: true,
+      startCommand: command,
+      endCommand: command,
+      dryRun: true
+    });
+
+    let [file] = result.changeset.modified;
+
+    expect(file.path).to.equal('tag.txt');
+
+    let [envTag, tag, projectName, cwd] = (await file.to()).toString().split('\n');
+
+    expect(envTag).to.equal('v3');
+    expect(tag).to.equal('v3');
+    expect(projectName).to.equal(path.basename(localDir));
+    expect(await fs.pathExists(path.join(cwd, '.git'))).to.be.ok;
+
+    expect((await file.from()).toString()).to.match(/^v1\nv1\n/);
+  });
+
+  describe('custom diff cache', function() {
+    let cacheDir;
+    let logFile;
+    let command;
+
+    beforeEach(async function() {
+      cacheDir = await tmpDir();
+      logFile = path.join(await tmpDir(), 'log');
+
+      let cpr = path.resolve(path.dirname(require.resolve('cpr')), '../bin/cpr');
+      let remoteFixtures = path.resolve('test/fixtures/remote/noconflict');
+
+      // count how many times it is run
+      command = `node ${cpr} ${remoteFixtures}/{tag} . && node -e "require('fs').appendFileSync('${logFile.replace(/\\/g, '/')}', '{tag}\\n')"`;
+    });
+
+    async function _merge(options) {
+      process.chdir(cwd);
+
+      return await merge({
+        localFixtures: 'test/fixtures/local/noconflict',
+        remoteFixtures: 'test/fixtures/remote/noconflict',
+        remoteUrl: null,
+        createCustomDiff: true,
+        startCommand: command,
+        endCommand: command,
+        cacheDir,
+        generatorVersion: '1.0.0',
+        ...options
+      });
+    }
+
+    it('reuses generated snapshots', async function() {
+      await _merge();
+
+      let {
+        status
+      } = await _merge();
+
+      expect(status).to.equal(`M  changed.txt
+`);
+
+      expect(await fs.readFile(logFile, 'utf8')).to.equal('v1\nv3\n');
+    });
+
+    it('can be invalidated', async function() {
+      await _merge();
+
+      await _merge({
+        invalidateCache: true
+      });
+
+      expect(await fs.readFile(logFile, 'utf8')).to.equal('v1\nv3\nv1\nv3\n');
+    });
+
+    it('is keyed on the generator version', async function() {
+      await _merge();
+
+      await _merge({
+        generatorVersion: '2.0.0'
+      });
+
+      expect(await fs.readFile(logFile, 'utf8')).to.equal('v1\nv3\nv1\nv3\n');
+    });
+
+    it('is off without a generator version', async function() {
+      await _merge({
+        generatorVersion: undefined
+      });
+
+      await _merge({
+        generatorVersion: undefined
+      });
+
+      expect(await fs.readFile(logFile, 'utf8')).to.equal('v1\nv3\nv1\nv3\n');
+    });
+  });
+
+  describe('custom diff commands', function() {
+    async function _gitDiffApply(options) {
+      localDir = await buildTmp({
+        fixturesPath: 'test/fixtures/local/noconflict'
+      });
+
+      process.chdir(localDir);
+
+      try {
+        return await gitDiffApply({
+          createCustomDiff: true,
+          endCommand: 'node -e ""',
+          startTag: 'v1',
+          endTag: 'v3',
+          cache: false,
+          ...options
+        });
+      } catch (err) {
+        return err;
+      }
+    }
+
+    it('captures the output of a failed command', async function() {
+      let error = await _gitDiffApply({
+        startCommand: 'node -e "console.log(\'test out\'); console.error(\'test err\'); process.exit(3)"'
+      });
+
+      expect(error.code).to.equal('E_COMMAND_FAILED');
+      expect(error.exitCode).to.equal(3);
+      expect(error.timedOut).to.equal(false);
+      expect(error.stdout).to.equal('test out\n');
+      expect(error.stderr).to.equal('test err\n');
+
+      expect(await isGitClean({ cwd: localDir })).to.be.ok;
+    });
+
+    it('times out', async function() {
+      let error = await _gitDiffApply({
+        startCommand: 'node -e "setTimeout(() => {}, 30000)"',
+        commandTimeout: 500
+      });
+
+      expect(error.code).to.equal('E_COMMAND_FAILED');
+      expect(error.timedOut).to.equal(true);
+      expect(error.message).to.contain('timed out');
+    });
+
+    it('limits the captured output', async function() {
+      let error = await _gitDiffApply({
+        startCommand: 'node -e "console.log(\'x\'.repeat(100))"',
+        maxBuffer: 10
+      });
+
+      expect(error.code).to.equal('E_COMMAND_FAILED');
+      expect(error.cause.message).to.contain('maxBuffer');
+    });
+
+    it('streams the output', async function() {
+      let output = '';
+
+      await _gitDiffApply({
+        startCommand: 'node -e "console.log(\'test out\')"',
+        commandOutput: {
+          write(data) {
+            output += data;
+          }
+        }
+      });
+
+      expect(output).to.equal('test out\n');
+    });
+  });
+
+  it('can create a custom diff with functions', async function() {
+    let remoteFixtures = path.resolve('test/fixtures/remote/noconflict');
+
+    async function generate(dir, tag) {
+      await fs.copy(path.join(remoteFixtures, tag), dir);
+    }
+
+    let {
+      status
+    } = await merge({
+      localFixtures: 'test/fixtures/local/noconflict',
+      remoteFixtures,
+      remoteUrl: null,
+      createCustomDiff: true,
+      startCommand: generate,
+      endCommand: generate
+    });
+
+    await fixtureCompare({
+      mergeFixtures: 'test/fixtures/merge/noconflict'
+    });
+
+    expect(status).to.equal(`M  changed.txt
+`);
+  });
+
   it('preserves locally gitignored', async function() {
     await merge({
       localFixtures: 'test/fixtures/local/gitignored',
@@ -778,6 +2834,41 @@ D  removed-unchanged.txt
     });
   });
 
+  describe('gitRemoveAll', function() {
+    it('removes tracked files in the directory', async function() {
+      let dir = await buildTmp({
+        fixturesPath: 'test/fixtures/local/noconflict',
+        subDir: 'foo'
+      });
+
+      await fs.outputFile(path.join(dir, 'bar/nested/file with spaces.txt'), 'bar\n');
+      await fs.outputFile(path.join(dir, '../outside.txt'), 'outside\n');
+      await utils.run('git add -A', { cwd: dir });
+      await utils.run('git commit -m bar', { cwd: dir });
+      await fs.outputFile(path.join(dir, 'untracked.txt'), 'untracked\n');
+
+      await gitDiffApply.gitRemoveAll({ cwd: dir });
+
+      expect(await fs.pathExists(path.join(dir, 'bar/nested'))).to.be.ok;
+      expect(await fs.readdir(dir)).to.deep.equal(['bar', 'untracked.txt']);
+
+      expect(await utils.run('git status --porcelain --untracked-files=all', { cwd: dir })).to.equal(`D  "foo/bar/nested/file with spaces.txt"
+D  foo/changed.txt
+?? foo/untracked.txt
+`);
+    });
+
+    it('doesn\'t remove the directory when nothing is tracked', async function() {
+      let dir = await tmpDir();
+
+      await gitDiffApply.gitInit({ cwd: dir });
+
+      await gitDiffApply.gitRemoveAll({ cwd: dir });
+
+      expect(await fs.pathExists(dir)).to.be.ok;
+    });
+  });
+
   it('handles binary files', async function() {
     let {
       status
@@ -0,0 +1,56 @@
+'use strict';
+
+const { describe, it } = require('../helpers/mocha');
+const { expect } = require('chai');
+const ignoredFilesMatcher = require('../../src/ignored-files-matcher');
+
+describe(ignoredFilesMatcher, function() {
+  it('matches literal paths', function() {
+    let { isIgnored } = ignoredFilesMatcher(['foo.txt']);
+
+    expect(isIgnored('foo.txt')).to.be.true;
+    expect(isIgnored('bar.txt')).to.be.false;
+    expect(isIgnored('bar/foo.txt')).to.be.false;
+  });
+
+  it('matches globs', function() {
+    let { isIgnored } = ignoredFilesMatcher(['config/*.js', '**/*.lock']);
+
+    expect(isIgnored('config/foo.js')).to.be.true;
+    expect(isIgnored('config/foo/bar.js')).to.be.false;
+    expect(isIgnored('yarn.lock')).to.be.true;
+    expect(isIgnored('foo/yarn.lock')).to.be.true;
+    expect(isIgnored('.lock')).to.be.true;
+  });
+
+  it('matches directories', function() {
+    let { isIgnored } = ignoredFilesMatcher(['config', 'vendor/']);
+
+    expect(isIgnored('config/foo.js')).to.be.true;
+    expect(isIgnored('config/foo/bar.js')).to.be.true;
+    expect(isIgnored('vendor/foo.js')).to.be.true;
+    expect(isIgnored('configs/foo.js')).to.be.false;
+  });
+
+  it('matches windows paths', function() {
+    let { isIgnored } = ignoredFilesMatcher(['config']);
+
+    expect(isIgnored('config\\foo.js')).to.be.true;
+  });
+
+  it('supports negations', function() {
+    let { isIgnored } = ignoredFilesMatcher(['config', '!config/keep.js']);
+
+    expect(isIgnored('config/foo.js')).to.be.true;
+    expect(isIgnored('config/keep.js')).to.be.false;
+  });
+
+  it('knows which directories may contain ignored files', function() {
+    let { mayContain } = ignoredFilesMatcher(['config/*.js', 'vendor']);
+
+    expect(mayContain('config')).to.be.true;
+    expect(mayContain('vendor')).to.be.true;
+    expect(mayContain('vendor/foo')).to.be.true;
+    expect(mayContain('app')).to.be.false;
+  });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const { describe, it } = require('../helpers/mocha');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs-extra');
+const { promisify } = require('util');
+const tmpDir = promisify(require('tmp').dir);
+const lock = require('../../src/lock');
+
+describe(lock, function() {
+  let lockDir;
+
+  beforeEach(async function() {
+    lockDir = path.join(await tmpDir(), 'test.lock');
+  });
+
+  it('serializes access', async function() {
+    let events = [];
+
+    async function task(name) {
+      let unlock = await lock(lockDir);
+      events.push(`${name} start`);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      events.push(`${name} end`);
+      await unlock();
+    }
+
+    await Promise.all([task('a'), task('b')]);
+
+    expect(events).to.deep.equal([
+      'a start',
+      'a end',
+      'b start',
+      'b end'
+    ]);
+
+    expect(await fs.pathExists(lockDir)).to.be.false;
+  });
+
+  it('takes over a stale lock', async function() {
+    await fs.mkdir(lockDir);
+
+    let old = new Date(Date.now() - 60 * 60 * 1000);
+    await fs.utimes(lockDir, old, old);
+
+    let unlock = await lock(lockDir);
+
+    expect(await fs.pathExists(lockDir)).to.be.true;
+
+    await unlock();
+  });
+
+  it('only lets one waiter take over a stale lock', async function() {
+    await fs.mkdir(lockDir);
+
+    let old = new Date(Date.now() - 60 * 60 * 1000);
+    await fs.utimes(lockDir, old, old);
+
+    let holders = 0;
+    let maxHolders = 0;
+
+    async function task() {
+      let unlock = await lock(lockDir);
+      maxHolders = Math.max(maxHolders, ++holders);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      holders--;
+      await unlock();
+    }
+
+    await Promise.all([task(), task(), task()]);
+
+    expect(maxHolders).to.equal(1);
+  });
+
+  it('keeps a held lock from going stale', async function() {
+    let events = [];
+
+    async function task(name, ms) {
+      let unlock = await lock(lockDir, { staleTime: 200 });
+      events.push(`${name} start`);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      events.push(`${name} end`);
+      await unlock();
+    }
+
+    await Promise.all([task('a', 600), task('b', 0)]);
+
+    expect(events).to.deep.equal([
+      'a start',
+      'a end',
+      'b start',
+      'b end'
+    ]);
+  });
+});
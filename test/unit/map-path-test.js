@@ -0,0 +1,35 @@
+'use strict';
+
+const { describe, it } = require('../helpers/mocha');
+const { expect } = require('chai');
+const mapPath = require('../../src/map-path');
+
+describe(mapPath, function() {
+  it('maps directories', function() {
+    expect(mapPath('app/foo.js', { app: 'src' })).to.equal('src/foo.js');
+    expect(mapPath('app/foo/bar.js', { 'app/': 'src/' })).to.equal('src/foo/bar.js');
+  });
+
+  it('maps files', function() {
+    expect(mapPath('app/foo.js', { 'app/foo.js': 'bar.js' })).to.equal('bar.js');
+  });
+
+  it('ignores partial names', function() {
+    expect(mapPath('apps/foo.js', { app: 'src' })).to.equal('apps/foo.js');
+  });
+
+  it('prefers the most specific mapping', function() {
+    let pathMap = {
+      'app': 'src',
+      'app/styles': 'styles'
+    };
+
+    expect(mapPath('app/styles/app.css', pathMap)).to.equal('styles/app.css');
+    expect(mapPath('app/app.js', pathMap)).to.equal('src/app.js');
+  });
+
+  it('maps to and from the root', function() {
+    expect(mapPath('foo.js', { '.': 'src' })).to.equal('src/foo.js');
+    expect(mapPath('app/foo.js', { 'app': '.' })).to.equal('foo.js');
+  });
+});
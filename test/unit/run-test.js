@@ -0,0 +1,16 @@
+'use strict';
+
+const { describe, it } = require('../helpers/mocha');
+const { expect } = require('chai');
+const run = require('../../src/run');
+
+describe(run, function() {
+  it('keeps characters split across chunks', async function() {
+    // the two bytes of `é` come out in separate writes
+    let script = 'process.stdout.write(Buffer.from([0xc3])); setTimeout(() => process.stdout.write(Buffer.from([0xa9])), 100);';
+
+    let stdout = await run(`node -e "${script}"`, { timeout: 10000 });
+
+    expect(stdout).to.equal('é');
+  });
+});